@@ -15,6 +15,7 @@ exports.gl_PointSize = 'float';
 exports.gl_ClipDistance = 'float';
 exports.gl_FragCoord = 'vec4';
 exports.gl_FragColor = 'vec4';
+exports.gl_FragData = 'vec4';
 exports.gl_FrontFacing = 'bool';
 exports.gl_PointCoord = 'vec2';
 exports.gl_PrimitiveID = 'int';
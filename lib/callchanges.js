@@ -1 +1,21 @@
-exports.vec4 = 'ivec4';
+//matrices are structs, constructed by the prelude helpers
+exports.mat2 = 'my_imat2';
+exports.mat3 = 'my_imat3';
+exports.mat4 = 'my_imat4';
+exports.mat2x2 = 'my_imat2';
+exports.mat3x3 = 'my_imat3';
+exports.mat4x4 = 'my_imat4';
+
+//fixed-point builtins from the prelude
+[
+	'radians', 'degrees', 'sin', 'cos', 'tan', 'asin', 'acos', 'atan',
+	'pow', 'exp', 'log', 'exp2', 'log2', 'sqrt', 'inversesqrt',
+	'abs', 'sign', 'floor', 'ceil', 'fract', 'mod', 'min', 'max', 'clamp', 'mix', 'step', 'smoothstep',
+	'length', 'distance', 'dot', 'cross', 'normalize', 'faceforward', 'reflect', 'refract',
+	'texture2D', 'texture2DProj', 'texture2DLod', 'texture2DProjLod', 'textureCube', 'textureCubeLod',
+	'texture', 'textureProj', 'textureLod', 'textureProjLod', 'texelFetch',
+	'dFdx', 'dFdy', 'fwidth',
+	'matrixCompMult', 'outerProduct', 'transpose', 'determinant', 'inverse'
+].forEach(function (name) {
+	exports[name] = 'my_' + name;
+});
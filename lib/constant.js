@@ -0,0 +1,400 @@
+/**
+ * Folding of constant expressions, like `const float H = PI * .5;`
+ *
+ * Values are computed in js from literals, other folded constants, constructors and builtins of stdlib,
+ * so that `const` initializers are rendered as exact fixed-point literals instead of helper calls.
+ * Scalars, vectors and square matrices are folded, anything else, like user functions, is left for rendering.
+ * Matrix values list components column by column.
+ *
+ * @module  glsl-js/lib/constant
+ */
+
+var stdlib = require('./stdlib');
+
+var fractionRE = /^(?:[0-9]*\.[0-9]*|[0-9]+(?=e))(?:e[-+]?[0-9]+)?$/i;
+
+//vector prefixes by component type
+var prefixes = {float: '', int: 'i', uint: 'u', bool: 'b'};
+
+//builtins folded unlike stdlib computes them, GLSL mod is x - y * floor(x / y) and takes the sign of y, unlike js %
+var builtins = {
+	mod: function mod (x, y) {
+		if (x.length) return x.map(function (x, i) {
+			return mod(x, y.length ? y[i] : y);
+		});
+		return x - y * Math.floor(x / y);
+	}
+};
+
+
+/**
+ * Evaluate expression node, return `{type, value}` with list of components as value,
+ * or null if the expression is not constant
+ *
+ * @param {object} node Expression node
+ * @param {string} type Type to convert the result to, like declared one
+ */
+function evaluate (node, type) {
+	var result = calculate.call(this, node);
+
+	if (result && type) result = isMatrix(type) ? result.type === type ? result : null : cast(type, result.value);
+
+	return result;
+}
+
+
+//evaluate node by type
+function calculate (node) {
+	switch (node.type) {
+		case 'expr':
+			return node.children.length === 1 ? calculate.call(this, node.children[0]) : null;
+
+		//(a, b) is b
+		case 'group':
+			return calculate.call(this, node.children[node.children.length - 1]);
+
+		case 'literal':
+		case 'keyword':
+			return literal(node.data);
+
+		case 'ident':
+			return lookup.call(this, node.data);
+
+		case 'unary':
+			return unary(node.data, calculate.call(this, node.children[0]));
+
+		case 'binary':
+			var left = calculate.call(this, node.children[0]);
+			var right = left && calculate.call(this, node.children[1]);
+			return right && binary(node.data, left, right);
+
+		case 'ternary':
+			var cond = calculate.call(this, node.children[0]);
+			return cond && calculate.call(this, node.children[cond.value[0] ? 1 : 2]);
+
+		//swizzles, like MOD2.yx
+		case 'operator':
+			if (node.data !== '.') return null;
+			var vector = calculate.call(this, node.children[0]);
+			var prop = node.children[1].data;
+			if (!vector || isMatrix(vector.type) || !/^([xyzw]{1,4}|[rgba]{1,4}|[stpq]{1,4})$/.test(prop)) return null;
+
+			var value = this.swizzlePositions(prop).map(function (position) {
+				return vector.value[position];
+			});
+			if (value.some(function (component) { return component == null; })) return null;
+
+			return {type: vectorType(componentType(vector.type), value.length), value: value};
+
+		case 'call':
+			return call.call(this, node);
+	}
+
+	return null;
+}
+
+
+/**
+ * Value of literal, like `1.5`, `0x10`, `3u` or `true`
+ */
+function literal (data) {
+	if (data === 'true' || data === 'false') return {type: 'bool', value: [data === 'true' ? 1 : 0]};
+	if (/^0x[0-9a-f]+$/i.test(data)) return {type: 'int', value: [parseInt(data, 16)]};
+	if (/^0[0-7]+$/.test(data)) return {type: 'int', value: [parseInt(data, 8)]};
+	if (/^[0-9]+$/.test(data)) return {type: 'int', value: [Number(data)]};
+	if (/^(0x[0-9a-f]+|[0-9]+)u$/i.test(data)) return {type: 'uint', value: [Number(data.slice(0, -1))]};
+	if (fractionRE.test(data)) return {type: 'float', value: [parseFloat(data)]};
+
+	return null;
+}
+
+
+/**
+ * Value of folded constant declared before, in the closest scope
+ */
+function lookup (id) {
+	var scope = this.scopes[this.currentScope];
+
+	while (scope && !scope.hasOwnProperty(id)) scope = scope.__parentScope;
+
+	return scope && scope[id].constant || null;
+}
+
+
+function unary (operator, arg) {
+	if (!arg) return null;
+
+	var fn = {
+		'+': function (a) { return a; },
+		'-': function (a) { return -a; },
+		'!': function (a) { return a ? 0 : 1; },
+		'~': function (a) { return ~a; }
+	}[operator];
+
+	return fn ? convert(arg.type, arg.value.map(fn)) : null;
+}
+
+
+function binary (operator, left, right) {
+	//a[i] → vector component or matrix column
+	if (operator === '[') {
+		if (isMatrix(left.type)) {
+			var n = order(left.type);
+			var column = left.value.slice(right.value[0] * n, right.value[0] * n + n);
+			return column.length === n ? {type: vectorType('float', n), value: column} : null;
+		}
+		var component = left.value[right.value[0]];
+		return size(left.type) > 1 && component != null ? {type: componentType(left.type), value: [component]} : null;
+	}
+
+	var leftSize = size(left.type), rightSize = size(right.type);
+
+	if (/^(&&|\|\||\^\^)$/.test(operator)) {
+		var a = !!left.value[0], b = !!right.value[0];
+		return {type: 'bool', value: [(operator === '&&' ? a && b : operator === '||' ? a || b : a !== b) ? 1 : 0]};
+	}
+
+	//vectors are equal if all components are
+	if (operator === '==' || operator === '!=') {
+		var equal = leftSize === rightSize && left.value.every(function (component, i) {
+			return component === right.value[i];
+		});
+		return {type: 'bool', value: [equal === (operator === '==') ? 1 : 0]};
+	}
+
+	if (/^[<>]=?$/.test(operator)) {
+		if (leftSize > 1 || rightSize > 1) return null;
+		var l = left.value[0], r = right.value[0];
+		var less = {'<': l < r, '>': l > r, '<=': l <= r, '>=': l >= r}[operator];
+		return {type: 'bool', value: [less ? 1 : 0]};
+	}
+
+	//linear algebraic products, like M * v
+	if (operator === '*' && (isMatrix(left.type) || isMatrix(right.type)) && leftSize > 1 && rightSize > 1) {
+		return product(left, right);
+	}
+
+	//componentwise arithmetic, scalar operand is spread
+	if (leftSize !== rightSize && leftSize > 1 && rightSize > 1) return null;
+
+	var length = Math.max(leftSize, rightSize);
+	var scalar = componentType(left.type) === 'float' || componentType(right.type) === 'float' ? 'float' : componentType(left.type);
+	var integer = scalar !== 'float';
+
+	var fn = {
+		'+': function (a, b) { return a + b; },
+		'-': function (a, b) { return a - b; },
+		'*': function (a, b) { return a * b; },
+		'/': function (a, b) { return integer ? Math.trunc(a / b) : a / b; },
+		'%': integer && function (a, b) { return a % b; },
+		'<<': integer && function (a, b) { return a << b; },
+		'>>': integer && function (a, b) { return a >> b; },
+		'&': integer && function (a, b) { return a & b; },
+		'|': integer && function (a, b) { return a | b; },
+		'^': integer && function (a, b) { return a ^ b; }
+	}[operator];
+
+	if (!fn) return null;
+
+	//integer division by zero is undefined
+	if (integer && /[\/%]/.test(operator) && right.value.indexOf(0) >= 0) return null;
+
+	var value = [];
+	for (var i = 0; i < length; i++) {
+		value.push(fn(left.value[leftSize > 1 ? i : 0], right.value[rightSize > 1 ? i : 0]));
+	}
+	if (!value.every(isFinite)) return null;
+
+	var matrix = isMatrix(left.type) ? left.type : isMatrix(right.type) ? right.type : null;
+
+	return convert(matrix || vectorType(scalar, length), value);
+}
+
+
+/**
+ * Product of matrices and vectors, vector is a column on the right and a row on the left
+ */
+function product (left, right) {
+	var leftRows = isMatrix(left.type) ? order(left.type) : 1;
+	var rightRows = isMatrix(right.type) ? order(right.type) : size(right.type);
+	var inner = size(left.type) / leftRows;
+	var rightColumns = size(right.type) / rightRows;
+
+	if (inner !== rightRows) return null;
+
+	var value = [];
+	for (var j = 0; j < rightColumns; j++) {
+		for (var i = 0; i < leftRows; i++) {
+			var sum = 0;
+			for (var k = 0; k < inner; k++) sum += left.value[k * leftRows + i] * right.value[j * rightRows + k];
+			value.push(sum);
+		}
+	}
+
+	var type = isMatrix(left.type) && isMatrix(right.type) ? left.type : vectorType('float', value.length);
+
+	return convert(type, value);
+}
+
+
+/**
+ * Value of constructor, like `vec3(1.)` or `int(PI)`, or of stdlib builtin, like `sqrt(2.)`
+ */
+function call (node) {
+	var callee = node.children[0];
+	var args = node.children.slice(1).map(calculate, this);
+
+	if (args.some(function (arg) { return !arg; })) return null;
+
+	if (callee.type === 'keyword' && isMatrix(callee.data)) return matrix(callee.data, args);
+
+	//constructors take components of all arguments
+	if (callee.type === 'keyword') {
+		return cast(callee.data, args.reduce(function (value, arg) {
+			return value.concat(arg.value);
+		}, []));
+	}
+
+	if (callee.type !== 'builtin' || !stdlib.hasOwnProperty(callee.data) || /^texture|^shadow/.test(callee.data)) return null;
+	if (args.some(function (arg) { return isMatrix(arg.type); })) return null;
+
+	//stdlib takes numbers and arrays of numbers
+	var result = (builtins[callee.data] || stdlib[callee.data]).apply(null, args.map(function (arg) {
+		return size(arg.type) > 1 ? arg.value : arg.value[0];
+	}));
+
+	var value = [].concat(result);
+	if (!value.length || value.some(function (component) { return typeof component !== 'number' || !isFinite(component); })) return null;
+
+	var type = typeof stdlib[callee.data].type === 'string' ? stdlib[callee.data].type : vectorType(componentType(args[0].type), value.length);
+
+	return cast(type, value);
+}
+
+
+/**
+ * Matrix constructor: diagonal from scalar, upper-left part of other matrix extended by identity,
+ * or components of all arguments column by column
+ */
+function matrix (type, args) {
+	var n = order(type);
+	var value = [];
+
+	if (args.length === 1 && size(args[0].type) === 1) {
+		for (var i = 0; i < n * n; i++) value.push(i % (n + 1) ? 0 : args[0].value[0]);
+	}
+	else if (args.length === 1 && isMatrix(args[0].type)) {
+		var m = order(args[0].type);
+		for (var i = 0; i < n; i++) {
+			for (var j = 0; j < n; j++) value.push(i < m && j < m ? args[0].value[i * m + j] : i === j ? 1 : 0);
+		}
+	}
+	else {
+		value = args.reduce(function (value, arg) {
+			return value.concat(arg.value);
+		}, []);
+		if (value.length < n * n) return null;
+	}
+
+	return convert(type, value.slice(0, n * n));
+}
+
+
+/**
+ * Convert components to the scalar or vector type, like GLSL constructors do
+ */
+function cast (type, value) {
+	var length = size(type);
+
+	if (!/^(float|u?int|bool|[ibu]?vec[234])$/.test(type) || !value.length) return null;
+
+	//vec3(1.) fills all components, float(v) takes the first one
+	if (value.length === 1) {
+		while (value.length < length) value = value.concat(value[0]);
+	}
+	if (value.length < length) return null;
+
+	return convert(type, value.slice(0, length));
+}
+
+
+//fit components to the type range, like int ones are truncated
+function convert (type, value) {
+	var scalar = componentType(type);
+
+	return {type: type, value: value.map(function (component) {
+		if (scalar === 'int') return Math.trunc(component) | 0;
+		if (scalar === 'uint') return Math.trunc(component) >>> 0;
+		if (scalar === 'bool') return component ? 1 : 0;
+		return +component;
+	})};
+}
+
+
+/**
+ * Render folded value, fixed-point floats as scaled ints, like `ivec2(10899, 11382)`,
+ * matrices as struct constructors of columns, like `imat2(ivec2(65536, 0), ivec2(0, 65536))`
+ */
+evaluate.stringify = function (constant) {
+	if (isMatrix(constant.type)) {
+		var n = order(constant.type);
+		var vector = vectorType('float', n);
+		var columns = [];
+		for (var i = 0; i < n; i++) {
+			columns.push(evaluate.stringify.call(this, {type: vector, value: constant.value.slice(i * n, i * n + n)}));
+		}
+
+		//GLSL ES 1.00 struct has column fields, later ones have an array
+		var mat = this.convertType(constant.type);
+		if (this.columnArrays()) return `${mat}(${this.convertType(vector)}[${n}](${columns.join(', ')}))`;
+		return `${mat}(${columns.join(', ')})`;
+	}
+
+	var scalar = componentType(constant.type);
+
+	var components = constant.value.map(function (component) {
+		if (scalar === 'bool') return component ? 'true' : 'false';
+		if (scalar === 'uint') return component + 'u';
+		if (scalar === 'float') return this.toFixed(component) + '';
+		return component + '';
+	}, this);
+
+	if (components.length === 1) return components[0];
+
+	return `${this.convertType(constant.type)}(${components.join(', ')})`;
+};
+
+
+//number of components of the type, matrices have all of them
+function size (type) {
+	var match = /vec([234])$/.exec(type);
+	if (match) return Number(match[1]);
+	return isMatrix(type) ? order(type) * order(type) : 1;
+}
+
+
+function isMatrix (type) {
+	return /^mat[234]$/.test(type);
+}
+
+//number of columns of the matrix, like 3 for mat3
+function order (type) {
+	return Number(type.slice(-1));
+}
+
+
+//component type, like ivec3 → int
+function componentType (type) {
+	var match = /^([ibu]?)vec[234]$/.exec(type);
+	if (!match) return isMatrix(type) ? 'float' : type;
+	return {'': 'float', i: 'int', u: 'uint', b: 'bool'}[match[1]];
+}
+
+
+//type of components, like int, 3 → ivec3
+function vectorType (scalar, length) {
+	return length > 1 ? `${prefixes[scalar]}vec${length}` : scalar;
+}
+
+
+module.exports = evaluate;
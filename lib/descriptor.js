@@ -19,6 +19,7 @@ var types = require('./types');
  * @param {number} options.complexity Empiric difficulty of calculation of the main descriptor string. Each component contains its own complexity metric.
  * @param {string|array} options.include List of stdlib methods to include for a node, if complex version is applied
  * @param {bool} options.optimize Whether to try to optimize the result.
+ * @param {array} options.dimensions Array sizes of the value, like [4] for `vec3 a[4]`
  */
 function Descriptor (str, options) {
 	//strings which are rendered to something
@@ -41,10 +42,11 @@ function Descriptor (str, options) {
 	if (options) {
 		descriptor.type = options.type;
 		descriptor.components = options.components;
-		descriptor.visible = options.visible;
+		if (options.visible != null) descriptor.visible = options.visible;
 		descriptor.complexity = options.complexity;
 		descriptor.include = options.include;
 		descriptor.optimize = options.optimize;
+		descriptor.dimensions = options.dimensions;
 	}
 
 	//in case of undefined complexity we should opt out for average value
@@ -14,8 +14,12 @@ var assert = require('assert');
 var parse = require('./parse');
 var extend = require('xtend/mutable');
 var builtins = require('./builtins');
+var types = require('./types');
 var operators = require('./operators');
+var constant = require('./constant');
 var stdlib = require('./stdlib');
+var prelude = require('./prelude');
+var js = require('./js');
 var flatten = require('array-flatten');
 var Descriptor = require('./descriptor');
 var prepr = require('prepr');
@@ -23,6 +27,61 @@ var varchanges = require('./varchanges.js')
 var callchanges = require('./callchanges.js')
 
 var floatRE = /^-?[0-9]*(?:.[0-9]+)?(?:e-?[0-9]+)?$/i;
+var fractionRE = /^(?:[0-9]*\.[0-9]*|[0-9]+(?=e))(?:e[-+]?[0-9]+)?$/i;
+
+//max value of 32-bit signed int
+var INT_MAX = 0x7fffffff;
+
+//prefix of fixed-point copies of the float interface
+var BRIDGE = 'fixed_';
+
+//int magnitude bits guaranteed by precision qualifiers in GLSL ES versions
+var precisionBits = {
+  '100': {lowp: 8, mediump: 10, highp: 16},
+  '300 es': {lowp: 8, mediump: 15, highp: 31}
+};
+
+//ES 1.00 extension for gl_FragData
+var DRAW_BUFFERS = '#extension GL_EXT_draw_buffers : require';
+
+//ES 1.00 extensions of features core since GLSL ES 3.00, dropped by the migration
+var coreExtensions = ['GL_OES_standard_derivatives', 'GL_EXT_shader_texture_lod', 'GL_EXT_frag_depth'];
+
+//GLSL versions the output can be migrated to by `version`
+var versions = ['100', '300 es', '330'];
+
+//backends by `target`, props overriding the fixed-point GLSL ones of the prototype
+var backends = {
+  'glsl-int': {},
+  js: js
+};
+
+//ES 1.00 texture lookups, later versions overload `texture*` ones by sampler
+var lookups = {
+  texture2D: 'texture',
+  texture2DProj: 'textureProj',
+  texture2DLod: 'textureLod',
+  texture2DProjLod: 'textureProjLod',
+  textureCube: 'texture',
+  textureCubeLod: 'textureLod'
+};
+
+//ES 1.00 fragment outputs, later versions write to declared ones
+var fragmentOutputs = {
+  gl_FragColor: 'fragColor',
+  gl_FragData: 'fragData'
+};
+
+//float builtins used through fixed-point copies: inputs are converted before main, outputs after
+var bridges = {
+  gl_FragCoord: 'in',
+  gl_PointCoord: 'in',
+  gl_Position: 'out',
+  gl_PointSize: 'out',
+  gl_FragColor: 'out',
+  gl_FragData: 'out',
+  gl_FragDepth: 'out'
+};
 
 
 /**
@@ -35,6 +94,27 @@ function GLSL (options) {
 
   extend(this, options);
 
+  assert(backends.hasOwnProperty(this.target), `Unknown target '${this.target}', use one of ${Object.keys(backends).join(', ')}`);
+  extend(this, backends[this.target]);
+
+  //backend transforms render nodes own way, the rest, like function arguments, are shared
+  this.transforms = extend({}, GLSL.prototype.transforms, backends[this.target].transforms);
+
+  //normalize fixed-point format, keep the scale for the output, `false` keeps floats
+  if (this.fixedPoint !== false) {
+    this.fixedPoint = extend({}, GLSL.prototype.fixedPoint, this.fixedPoint);
+    assert(this.fixedPoint.fractionBits >= 0 && this.fixedPoint.fractionBits < 31, 'Fixed-point fractionBits should be within 0..30');
+    this.fixedPoint.scale = Math.pow(2, this.fixedPoint.fractionBits);
+  }
+
+  assert(/^(wrap|saturate|split)$/.test(this.overflow), `Unknown overflow mode '${this.overflow}'`);
+
+  assert(this.rounding == null || /^(truncate|floor|round-half-up|round-half-even)$/.test(this.rounding), `Unknown rounding mode '${this.rounding}'`);
+
+  if (this.version != null) this.version = String(this.version);
+  assert(this.version == null || versions.indexOf(this.version) >= 0, `Unknown version '${this.version}', use one of ${versions.join(', ')}`);
+  assert(this.version == null || this.target !== 'js', 'Version is not applicable to the js target');
+
   this.reset();
 
   //return function compiler for convenience
@@ -56,12 +136,67 @@ GLSL.prototype.preprocess = prepr;
 GLSL.prototype.debug = false;
 
 
+/**
+ * Fixed-point format of converted floats, Q(31-N).N for `fractionBits: N`
+ */
+GLSL.prototype.fixedPoint = {
+  fractionBits: 0
+};
+
+
+/**
+ * Overflow handling of fixed-point operations: `wrap`, `saturate` or `split`
+ */
+GLSL.prototype.overflow = 'wrap';
+
+
+/**
+ * Rounding of scaled literals and of fixed-point products and quotients:
+ * `truncate`, `floor`, `round-half-up` or `round-half-even`.
+ * `null` truncates literals and keeps native division, which rounding of negatives is not defined in GLSL ES 1.00.
+ */
+GLSL.prototype.rounding = null;
+
+
+/**
+ * GLSL ES 3.00 fragment outputs go to float render targets, so they are used via fixed-point copies.
+ * `false` declares fixed-point int outputs, for integer render targets.
+ */
+GLSL.prototype.output = 'float';
+
+
+/**
+ * Backend of the output: `'glsl-int'` fixed-point GLSL or `'js'` executable js
+ */
+GLSL.prototype.target = 'glsl-int';
+
+
+/**
+ * GLSL version of the output: `'100'`, `'300 es'` or `'330'`, `null` keeps the source one
+ */
+GLSL.prototype.version = null;
+
+
+/**
+ * Report a compilation warning, like precision short of the fixed-point range
+ */
+GLSL.prototype.warn = function (message) {
+  console.warn(message);
+};
+
+
 /**
  * Operator names
  */
 GLSL.prototype.operators = operators.operators;
 
 
+/**
+ * Type constructors
+ */
+GLSL.prototype.types = types;
+
+
 /**
  * Map of builtins with their types
  */
@@ -79,6 +214,12 @@ GLSL.prototype.parse = parse;
  */
 GLSL.prototype.stdlib = stdlib;
 
+
+/**
+ * Fixed-point arithmetic helpers
+ */
+GLSL.prototype.prelude = prelude;
+
 /**
  * changes of names
  */
@@ -96,11 +237,13 @@ GLSL.prototype.reset = function () {
   //cache of descriptors associated with nodes
   else this.descriptors = new Map();
 
-  //scopes analysed. Each scope is named after the function they are contained in
+  //scopes analysed. Each scope is named after the function they are contained in,
+  //nested blocks are named after the parent scope, like `main.1`, `main.1.1`
   this.scopes = {
     global: {
       __name: 'global',
-      __parentScope: null
+      __parentScope: null,
+      __blocks: 0
     }
   };
 
@@ -124,16 +267,65 @@ GLSL.prototype.reset = function () {
 
   };
 
+  //collected fragment outputs of GLSL ES 3.00
+  this.outputs = {
+
+  };
+
+  //whether the shader is vertex one, decides what `in`/`out` mean
+  this.vertex = false;
+
   //collected functions, with output types
   this.functions = {
 
   };
 
+  //user functions by name and argument types, like `{f: {float_vec2: {name, args, type}}}`
+  this.overloads = {
+
+  };
+
   //collected stdlib functions need to be included
   this.includes = {
 
   };
 
+  //collected prelude helpers overloads need to be included
+  this.helpers = {
+
+  };
+
+  //float builtins used via fixed-point copies
+  this.bridgedBuiltins = {
+
+  };
+
+  //source `#version`, like `300 es`
+  this.sourceVersion = null;
+
+  //`#extension` directives, they go before the prelude
+  this.extensions = [
+
+  ];
+
+  //int precisions checked against the fixed-point format
+  this.precisions = {
+
+  };
+
+  //whether default `precision highp int` is emitted
+  this.intPrecision = false;
+
+  //global precision statements, they go before the prelude
+  this.defaultPrecisions = [
+
+  ];
+
+  //declarations of builtins the target version has no, like `out vec4 fragColor;`
+  this.declarations = {
+
+  };
+
   //current scope of the node processed
   this.currentScope = 'global';
 };
@@ -143,6 +335,12 @@ GLSL.prototype.reset = function () {
  * Compile whether string or tree to js
  */
 GLSL.prototype.compile = function compile (arg) {
+  //preprocessor drops #version, but it should remain the first line
+  if (typeof arg === 'string') {
+    var version = /^\s*#\s*version\s+(.*?)\s*$/m.exec(arg);
+    if (version) this.sourceVersion = version[1];
+  }
+
   //apply preprocessor
   if (this.preprocess) {
     if (this.preprocess instanceof Function) {
@@ -153,11 +351,56 @@ GLSL.prototype.compile = function compile (arg) {
     }
   }
 
-  arg = this.parse(arg);
+  //tokenizer knows GLSL ES 3.00 keywords, desktop ones are alike
+  arg = this.parse(arg, {version: /^3\d\d/.test(this.sourceVersion) ? '300 es' : this.sourceVersion});
+
+  this.vertex = isVertex(arg);
 
-  var result = this.process(arg);
+  this.checkTypes(arg);
+  this.registerFunctions(arg);
+
+  return this.stringify(this.process(arg));
+};
+
+
+/**
+ * Put together the processed tree with directives, prelude, stdlib and the float interface bridge
+ */
+GLSL.prototype.stringify = function (result) {
+  var version = this.version || this.sourceVersion;
+
+  //GLSL ES fragment shaders have no default float precision, ints are mediump, which is short of fixed-point values
+  if (!this.vertex && (!version || version === '100' || / es$/.test(version))) {
+    var defaults = [];
+    if (this.version && !this.defaultPrecisions.some(function (statement) { return / float$/.test(statement); })) {
+      defaults.push(`precision ${this.version === '100' ? 'mediump' : 'highp'} float`);
+    }
+    if (this.fixedPoint && !this.intPrecision) {
+      this.checkPrecision('highp');
+      defaults.push('precision highp int');
+      this.intPrecision = true;
+    }
+    this.defaultPrecisions = defaults.concat(this.defaultPrecisions);
+  }
 
-  result = this.stringifyStdlib(this.includes) + '\n' + result;
+  //bridge may use prelude constructors, so it goes first
+  var bridge = this.stringifyBridge();
+
+  result = [
+    version && `#version ${version}`,
+    this.extensions.join('\n'),
+    this.defaultPrecisions.map(function (statement) { return statement + ';'; }).join('\n'),
+    this.fixedPoint && this.stringifyPrelude(this.helpers),
+    this.stringifyStdlib(this.includes),
+    Object.keys(this.declarations).map(function (name) {
+      return this.declarations[name];
+    }, this).join('\n'),
+    Object.keys(this.bridgedBuiltins).map(function (name) {
+      return `${this.varchanges[this.builtins[name]]} ${BRIDGE}${name}${name === 'gl_FragData' ? '[gl_MaxDrawBuffers]' : ''};`;
+    }, this).join('\n'),
+    result,
+    bridge
+  ].filter(Boolean).join('\n');
 
   return result;
 };
@@ -204,7 +447,7 @@ GLSL.prototype.process = function (node, arg) {
 
   //wrap unknown node
   if (t === undefined) {
-    console.warn(`Unknown node type '${node.type}'`);
+    this.warn(`Unknown node type '${node.type}'`);
     return this.cache(node, null);
   }
 
@@ -253,7 +496,7 @@ GLSL.prototype.process = function (node, arg) {
 GLSL.prototype.optimizeDescriptor = function (descriptor) {
   //try to optimize
 
-  if (this.optimize && descriptor.optimize !== false) {
+  if (this.optimize && descriptor.optimize !== false && descriptor.components) {
     var complexity = descriptor.components.reduce(function (prev, curr) {
       return prev + curr.complexity||0;
     }, 0);
@@ -262,21 +505,6 @@ GLSL.prototype.optimizeDescriptor = function (descriptor) {
       //expand array, if complexity is ok
       if (descriptor.components && descriptor.components.length > 1) {
         var include = descriptor.components.map(function (c) { return c.include;}, this).filter(Boolean);
-        // if it's mat, splice it into 2d array
-        if (/mat/.test(descriptor.type)) {
-          // get the dim of mat
-          var cur_dim = parseInt(descriptor.type[3]);
-          var newArr = [];
-          var arr = descriptor.components;
-          while(arr.length) newArr.push(arr.splice(0,cur_dim));
-          descriptor.components = newArr;
-
-          for (var id in descriptor.components) {
-            descriptor.components[id] = descriptor.components[id].map(e => parseFloat(e));
-          }
-
-          return Descriptor(JSON.stringify(descriptor.components), {});
-        }
         return Descriptor(`[${descriptor.components.join(', ')}]`, extend(descriptor, {
           include: include,
           complexity: complexity
@@ -312,14 +540,30 @@ GLSL.prototype.transforms = {
   stmtlist: function (node) {
     if (!node.children.length) return Descriptor(null);
 
-    var result = node.children.map(this.process, this).join('\n');
+    //nested {} block has own scope, function body shares one with arguments
+    var block = node.parent && node.parent.type !== 'function';
+    if (block) this.enterScope();
+
+    //empty statements, like `;` after do-while, are dropped
+    var result = node.children.map(this.process, this).filter(function (stmt) {
+      return stmt + '';
+    }).join('\n');
+
+    if (block) this.exitScope();
+
+    //bare block keeps its braces, otherwise shadowing declarations would collide
+    if (node.parent && node.parent.type === 'stmt' && node.parent.parent.type === 'stmtlist') {
+      result = braces(result);
+    }
 
     return Descriptor(result);
   },
 
   stmt: function (node) {
     var result = node.children.map(this.process, this).join('');
-    if (result) result += ';';
+
+    //statements ending with a block or label take no semicolon
+    if (result && !isCompound(node.children[0])) result += ';';
 
     return Descriptor(result);
   },
@@ -329,108 +573,97 @@ GLSL.prototype.transforms = {
 
     //get args nodes
     var args = node.children.slice(1);
-    var argTypes = [];
-
-    //arg names
-    var argsList = flatten(args.map(function (arg) {
-      assert.equal(arg.type, 'decl', 'Struct statements should be declarations.');
-
-      var decllist = arg.children[arg.children.length - 1];
 
-      assert.equal(decllist.type, 'decllist', 'Struct statement declaration has wrong structure.');
+    //fields with types and array dimensions, like `{pos: {type: 'vec3', dimensions: []}}`
+    var fields = {};
 
-      return decllist.children.map(function (ident) {
-        assert.equal(ident.type, 'ident', 'Struct statement contains something other than just identifiers.');
-        return ident.data;
-      });
-    }));
+    //field declarations with converted types, like `ivec3 pos;`
+    var definitions = args.map(function (arg) {
+      assert.equal(arg.type, 'decl', 'Struct statements should be declarations.');
 
-    var argTypes = flatten(args.map(function (arg) {
       var type = arg.children[4].token.data;
+      var precision = arg.children[3].token.data;
       var decllist = arg.children[arg.children.length - 1];
-      return decllist.children.map(function () {
-        return type;
-      });
-    }));
-
-    var struct = function struct () {
-      var args = arguments;
 
-      var includes = [];
+      assert.equal(decllist.type, 'decllist', 'Struct statement declaration has wrong structure.');
 
-      var fields = argsList.map(function (argName, i) {
-        if (args[i]) {
-          var initValue = this.process(args[i]);
-        }
-        else {
-          var initValue = this.types[argTypes[i]].call(this, args[i]);
+      var ids = [];
+      decllist.children.forEach(function (child) {
+        //array fields, like `float k[2];`
+        if (child.type === 'quantifier') {
+          var dimension = this.process(child.children[0]);
+          fields[ids[ids.length - 1]].dimensions.push(/^[0-9]+$/.test(dimension) ? Number(dimension) : dimension + '');
+          return;
         }
-        initValue = this.optimizeDescriptor(initValue);
-        includes = includes.concat(initValue.include);
-        return Descriptor(`${argName}: ${initValue}`, {
-          type: argTypes[i],
-          optimize: false,
-          components: initValue.components
-        });
+
+        assert.equal(child.type, 'ident', 'Struct statement contains something other than just identifiers.');
+        ids.push(child.data);
+        fields[child.data] = {type: type, dimensions: []};
       }, this);
 
-      return Descriptor(`{\n${fields.join(',\n')}\n}`, {
-        type: structName,
-        optimize: false,
-        include: includes.filter(Boolean),
-        components: fields
-      });
-    }.bind(this);
+      if (precision && this.isFixed(type)) this.checkPrecision(precision);
 
-    //we should set length to be a compatible type constructor
-    Object.defineProperty(struct, 'length', {value: argTypes.length});
+      return `${precision ? precision + ' ' : ''}${this.convertType(type)} ${ids.map(function (id) {
+        return id + fields[id].dimensions.map(function (dimension) { return `[${dimension}]`; }).join('');
+      }).join(', ')};`;
+    }, this);
 
-    //register struct constructor, in a fashion of type constructors
+    //field access, like `a.b.c`, is typed by fields, descriptors of struct values take the number of fields
     this.structs[structName] =
-      this.types[structName] = struct;
+      this.types[structName] = {fields: fields, length: Object.keys(fields).length};
 
-    return Descriptor(null);
+    return Descriptor(`struct ${structName} {\n${definitions.map(function (definition) {
+      return '\t' + definition;
+    }).join('\n')}\n}`, {
+      type: structName,
+      optimize: false
+    });
   },
 
   function: function (node) {
     var result = '';
 
-    //if function has no body, that means it is interface for it. We can ignore it.
-    if (node.children.length < 3) return Descriptor(null);
-
-    //add function name - just render ident node
+    //add function name - overloads are named after argument types
     assert.equal(node.children[0].type, 'ident', 'Function should have an identifier.');
-    var name = this.process(node.children[0]);
+    assert.equal(node.children[1].type, 'functionargs', 'Function should have arguments.');
+    var name = this.functionOverload(node).name;
 
     //add args
-    assert.equal(node.children[1].type, 'functionargs', 'Function should have arguments.');
     var args = this.process(node.children[1]);
 
     //get out type of the function in declaration
     var outType = node.parent.children[4].token.data;
+    var precision = node.parent.children[3].token.data;
+    if (precision && this.isFixed(outType)) this.checkPrecision(precision);
 
+    //add body
+    if (node.children.length > 2) {
+      assert.equal(node.children[2].type, 'stmtlist', 'Function should have a body.');
+      var body = this.process(node.children[2]);
+    }
 
-    //add argument types suffix to a fn
-    var argTypesSfx = args.components.map(function (arg) {
-      return `${arg.type}`;
-    }).join('_');
-
-    //if main name is registered - provide type-scoped name of function
-    if (this.functions[name] && argTypesSfx) {
-      name = `${name}_${argTypesSfx}`;
+    //main gets wrapped with conversions of the float interface
+    if (name == 'main' && this.hasBridge()) {
+      name = Descriptor(BRIDGE + name, {complexity: 0});
     }
 
-    //add body
-    assert.equal(node.children[2].type, 'stmtlist', 'Function should have a body.');
+    result += [precision, this.convertType(outType), name].filter(Boolean).join(' ') + ` (${args})`;
+
+    //function without body is a prototype, calls before the definition need it
+    if (body == null) {
+      this.exitScope();
+
+      return Descriptor(result, {
+        type: outType,
+        complexity: 999
+      });
+    }
 
     //create function body
-    result += `function ${name} (${args}) {\n`;
-      result += this.process(node.children[2]);
-      result = result.replace(/\n/g, '\n\t');
-      result += '\n}';
+    result += ` ${braces(body)}`;
 
     //get scope back to the global after fn ended
-    this.currentScope = this.scopes[this.currentScope].__parentScope.__name;
+    this.exitScope();
 
     //create descriptor
     result = Descriptor(result, {
@@ -444,19 +677,12 @@ GLSL.prototype.transforms = {
     return result;
   },
 
-  //function arguments are just shown as a list of ids
+  //function parameters are declarations with qualifiers, like `inout ivec3 v`
   functionargs: function (node) {
     //create new scope - func args are the unique token stream-style detecting a function entry
-    var lastScope = this.currentScope;
-    var scopeName = (node.parent && node.parent.children[0].data) || 'global';
-    this.currentScope = scopeName;
-
-    if (!this.scopes[scopeName]) {
-      this.scopes[scopeName] = {
-        __parentScope: this.scopes[lastScope],
-        __name: scopeName
-      };
-    }
+    //each overload has own scope, named as the function in output
+    var fn = node.parent;
+    this.enterScope(fn ? this.functionOverload(fn).name : 'global');
 
     var comps = node.children.map(this.process, this);
 
@@ -475,10 +701,10 @@ GLSL.prototype.transforms = {
     var decllist = node.children[5];
     //return Descriptor(`${typeNode.token.data}  ${decllist}`);
 
-    //register structure
-    if (node.token.data === 'struct') {
-      this.process(typeNode);
-      if (!decllist) return Descriptor(null);
+    //struct definition, optionally followed by declarations, like `struct A {...} a;`
+    if (typeNode.type === 'struct') {
+      var definition = this.process(typeNode);
+      if (!decllist) return definition;
     }
 
 
@@ -494,10 +720,19 @@ GLSL.prototype.transforms = {
       return this.process(decllist);
     }
 
-    //case of function args - drop var
+    //function parameter keeps const, in/out/inout and precision qualifiers
     if (node.parent.type === 'functionargs') {
       result = this.process(decllist);
-      return result;
+
+      var qualifiers = node.children.slice(1, 4).map(function (child) {
+        return child.token.data;
+      }).filter(Boolean);
+      if (node.children[3].token.data && this.isFixed(typeNode.token.data)) this.checkPrecision(node.children[3].token.data);
+
+      return Descriptor(qualifiers.concat(this.convertType(typeNode.token.data), result).join(' '), {
+        type: result.type,
+        optimize: false
+      });
     }
     //default type, like variable decl etc
     else {
@@ -511,12 +746,55 @@ GLSL.prototype.transforms = {
       optimize: false
     })
 
-    var dataType = typeNode.token.data;
-    if (dataType in this.varchanges) {
-      dataType = this.varchanges[dataType];
+    var dataType = definition || this.convertType(typeNode.token.data);
+
+    //bridged interface variables keep float declaration next to the fixed-point copy
+    var external = decllist.children.filter(function (child) {
+      return child.type === 'ident';
+    }).map(function (child) {
+      return this.variable(child.data);
+    }, this);
+
+    //precision qualifier stays with the declaration, fixed-point values need enough bits
+    var precision = node.children[3].token.data;
+    var storage = this.migrateStorage(nodeType.token.data);
+    var layout = nodeType.token.layout;
+    var interpolation = nodeType.token.qualifiers;
+
+    //ES 1.00 has no layout and interpolation qualifiers
+    if (this.version === '100') layout = interpolation = null;
+
+    //outputs written to gl_FragColor in ES 1.00 are not declared
+    if (external[0] && external[0].builtin) {
+      return Descriptor(external[0].bridge ? `${dataType} ${result}` : null, {
+        type: result.type,
+        optimize: false
+      });
+    }
+
+    //GLSL ES 3.00 int varyings, like converted ones, are not interpolated
+    if (/^(in|out)$/.test(storage) && external[0] && external[0].binding === 'varying' &&
+      /^(u?int|[iu]vec[234])$/.test(external[0].convertedType) && !/\bflat\b/.test(interpolation)) {
+      interpolation = ['flat', (interpolation || '').replace(/\bsmooth\b/, '')].join(' ').trim();
+    }
+
+    //not folded const initializer calls helpers, see decllist
+    if (storage === 'const' && external.some(function (variable) { return variable.unfolded; })) storage = null;
+
+    var qualifiers = [layout, interpolation, storage, precision].filter(Boolean).join(' ');
+
+    if (external[0] && external[0].bridge) {
+      return Descriptor(`${qualifiers} ${typeNode.token.data} ${external.map(function (variable) {
+        return variable.id + variable.dimensions.map(function (dimension) { return `[${dimension}]`; }).join('');
+      }).join(', ')};\n${dataType} ${result}`, {
+        type: result.type,
+        optimize: false
+      });
     }
 
-    return Descriptor(`${nodeType.token.data} ${dataType} ${result}`, {
+    if (precision && this.isFixed(typeNode.token.data)) this.checkPrecision(precision);
+
+    return Descriptor(`${qualifiers} ${dataType} ${result}`, {
       type: result.type,
       components: result.components,
       optimize: false
@@ -527,11 +805,80 @@ GLSL.prototype.transforms = {
   //decl list is the same as in js, so just merge identifiers, that's it
   decllist: function (node) {
     var ids = [];
+    var typeNode = node.parent.children[4];
+    var type = typeNode.type === 'struct' ? typeNode.children[0].data : typeNode.token.data;
+
+    var storage = node.parent.children[1].token.data;
+    var precision = node.parent.children[3].token.data;
+
+    var binding = this.storageBinding(storage);
+
+    //float interface, like `uniform: 'float'`, is used via fixed-point copies
+    var bridged = this.currentScope === 'global' && this[binding] === 'float' && this.isFixed(type);
+
+    //structs have no float copies, so their fixed-point fields would take floats as they are
+    if (this.currentScope === 'global' && this[binding] === 'float' && this.structs.hasOwnProperty(type) && hasFixedFields(this.structFields(type))) {
+      throw Error(`Struct ${binding} ${node.children[0].data} of type ${type} at line ${node.children[0].token.line} has fixed-point fields and cannot be kept float, use ${binding}: false and pass the fields multiplied by their scale`);
+    }
+    var variable = null, variables = [];
     for (var i = 0, l = node.children.length; i < l; i++) {
       var child = node.children[i];
-      var ident = this.process(child);
-      ids.push(ident);
+
+      //a[3] and a = 1 belong to the last identifier
+      if (child.type === 'quantifier') {
+        var dimension = this.process(child.children[0]);
+        variable.dimensions.push(/^[0-9]+$/.test(dimension) ? Number(dimension) : dimension + '');
+        ids[ids.length - 1] += `[${dimension}]`;
+        continue;
+      }
+      if (child.type === 'expr') {
+        //const initializers are folded to literals, so they stay constant expressions with no helper calls
+        var value = storage === 'const' && this.fixedPoint && !variable.dimensions.length ? this.evaluate(child, type) : null;
+        if (value) variable.constant = value;
+        var init = value ? this.stringifyConstant(value) : this.process(child);
+
+        //helper calls are no constant expressions, so not folded const is declared as variable,
+        //global variables cannot be initialized by them at all
+        if (storage === 'const' && /\bmy_\w+\(/.test(init)) {
+          if (this.currentScope === 'global') throw Error(`Const ${variable.id} cannot be folded to a fixed-point constant expression`);
+          variable.unfolded = true;
+        }
+
+        ids[ids.length - 1] += ` = ${init}`;
+        continue;
+      }
+
+      //register declared type, operations are lowered by it
+      //the name shadows outer one only after own initializer, like `float a = a * 2.;`
+      if (variable) this.variable(variable.id, variable);
+
+      variable = {
+        id: child.data,
+        type: type,
+        dimensions: [],
+        binding: binding || null,
+        precision: precision || null,
+        bridge: bridged ? BRIDGE + child.data : null
+      };
+
+      ids.push(variable.bridge || variable.id);
+      variables.push(variable);
+    }
+    if (variable) this.variable(variable.id, variable);
+
+    //ES 1.00 has no declared fragment outputs, they are written to gl_FragColor or gl_FragData
+    if (binding === 'output' && this.version === '100') {
+      var layout = /location\s*=\s*(\d+)/.exec(node.parent.children[1].token.layout || '');
+      var single = countOutputs(node.parent.parent.parent) < 2;
+
+      variables.forEach(function (variable) {
+        var builtin = variable.dimensions.length ? 'gl_FragData' :
+          single ? 'gl_FragColor' : `gl_FragData[${layout ? layout[1] : Object.keys(this.outputs).indexOf(variable.id)}]`;
+        if (/gl_FragData/.test(builtin) && this.extensions.indexOf(DRAW_BUFFERS) < 0) this.extensions.push(DRAW_BUFFERS);
+        this.variable(variable.id, {builtin: builtin});
+      }, this);
     }
+
     var res = Descriptor(ids.join(', '));
     return res;
   },
@@ -544,26 +891,50 @@ GLSL.prototype.transforms = {
   //i++, --i etc
   suffix: function (node) {
     var str = this.process(node.children[0]);
+
+    //x++ on fixed-point value adds 1.0
+    if (this.isFixed(str.type)) {
+      this.checkIncrement(node.children[0], str + node.data);
+      return this.processIncrement(str, node.data, false, !isStatement(node));
+    }
+
     return Descriptor(str + node.data, {type: str.type});
   },
 
-  //loops are the same as in js
+  //loop and branch bodies are always braced
   forloop: function (node) {
+    //initializer variables are visible in the loop only
+    this.enterScope();
+
     var init = this.process(node.children[0]);
     var cond = this.process(node.children[1]);
-    var iter = this.process(node.children[2]);
+    var iter = this.processLoopStep(node.children[2]);
     var body = this.process(node.children[3]);
 
-    return Descriptor(`for (${init}; ${cond}; ${iter}) {\n${body}\n}`, {
+    this.exitScope();
 
-    });
+    return Descriptor(`for (${init}; ${cond}; ${iter}) ${braces(body)}`);
   },
 
   whileloop: function (node) {
     var cond = this.process(node.children[0]);
     var body = this.process(node.children[1]);
-    return Descriptor(`while (${cond}) {\n${body}\n}`, {
-    });
+    return Descriptor(`while (${cond}) ${braces(body)}`);
+  },
+
+  //GLSL ES 3.00 switch, labels are statements of the body, see ./parse
+  switch: function (node) {
+    var expr = this.process(node.children[0]);
+    var body = this.process(node.children[1]);
+    return Descriptor(`switch (${expr}) ${braces(body)}`);
+  },
+
+  case: function (node) {
+    return Descriptor(`case ${this.process(node.children[0])}:`);
+  },
+
+  default: function () {
+    return Descriptor('default:');
   },
 
   operator: function (node) {
@@ -574,6 +945,24 @@ GLSL.prototype.transforms = {
       var type = ident.type;
       var prop = node.children[1].data;
 
+      //swizzle picks components of the vector, like vec3.xy → vec2, vec3.x → float
+      if (/vec/.test(type) && /^([xyzw]{1,4}|[rgba]{1,4}|[stpq]{1,4})$/.test(prop)) {
+        type = prop.length > 1 ? type.replace(/\d$/, prop.length) : this.types[type].type;
+      }
+
+      //mixed component sets or swizzled scalars are constructed
+      else if (/^(float|int|bool|[ib]?vec[234])$/.test(type) && /^[xyzwrgbastpq]{1,4}$/.test(prop)) {
+        return this.unswizzle(node);
+      }
+
+      //struct field keeps declared type, like `light.pos` → vec3
+      else if (this.structs.hasOwnProperty(type) && this.structs[type].fields.hasOwnProperty(prop)) {
+        return Descriptor(`${ident}.${prop}`, {
+          type: this.structs[type].fields[prop].type,
+          dimensions: this.structs[type].fields[prop].dimensions
+        });
+      }
+
       return Descriptor(`${ident}.${prop}`, {
         type: type
       });
@@ -585,13 +974,39 @@ GLSL.prototype.transforms = {
   },
 
   expr: function (node) {
-    var result = node.children.map(this.process, this).join('');
+    var children = node.children.map(this.process, this);
 
-    return Descriptor(result);
+    return Descriptor(children.join(''), {
+      type: children.length === 1 ? children[0].type : undefined
+    });
   },
 
-  precision: function () {
-    return Descriptor(null);
+  //fixed-point values are ints, so they get highp int along with the float precision
+  precision: function (node) {
+    //desktop GLSL has no precision statements
+    if (this.version === '330') return Descriptor(null);
+
+    var precision = node.children[0].token.data;
+    var type = node.children[1].token.data;
+
+    if ((type === 'int' || type === 'float') && this.fixedPoint) {
+      this.checkPrecision('highp');
+
+      var result = type === 'float' ? [`precision ${precision} float`] : [];
+      if (!this.intPrecision) result.push('precision highp int');
+      this.intPrecision = true;
+    }
+    else {
+      var result = [`precision ${precision} ${type}`];
+    }
+
+    //global defaults go before the prelude, which is int code too
+    if (this.currentScope === 'global') {
+      this.defaultPrecisions = this.defaultPrecisions.concat(result);
+      return Descriptor(null);
+    }
+
+    return Descriptor(result.join(';\n') || null);
   },
 
   //FIXME: it never creates comments
@@ -599,11 +1014,28 @@ GLSL.prototype.transforms = {
     return Descriptor(null);
   },
 
+  //directives left after preprocessing are kept, #version and #extension are hoisted to the top
   preprocessor: function (node) {
-    return Descriptor('/* ' + node.token.data + ' */')
+    var directive = node.token.data.trim();
+    var name = /^#\s*(\w+)/.exec(directive)[1];
+
+    if (name === 'version') {
+      this.sourceVersion = directive.replace(/^#\s*version\s+/, '');
+      return Descriptor(null);
+    }
+
+    if (name === 'extension') {
+      var extension = /^#\s*extension\s+(\w+)/.exec(directive);
+      if (this.version && this.version !== '100' && extension && coreExtensions.indexOf(extension[1]) >= 0) return Descriptor(null);
+      this.extensions.push(directive);
+      return Descriptor(null);
+    }
+
+    return Descriptor(directive);
   },
 
   keyword: function (node) {
+    var type;
     if (node.data === 'true' || node.data === 'false') type = 'bool';
     //FIXME: guess every other keyword is a type, isn’t it?
     else type = node.data;
@@ -616,24 +1048,17 @@ GLSL.prototype.transforms = {
 
   ident: function (node) {
     //get type of registered var, if possible to find it
-    var id = node.token.data;
-    var scope = this.scopes[this.currentScope];
-
-    //find the closest scope with the id
-    while (scope[id] == null) {
-      scope = scope.__parentScope;
-      if (!scope) {
-        // console.warn(`'${id}' is not defined`);
-        break;
-      }
-    }
+    var variable = this.lookup(node.token.data);
 
     var str = node.data;
 
-    if (scope) {
-      var type = scope[id].type;
+    if (variable) {
+      if (variable.bridge) str = variable.bridge;
+      else if (variable.builtin) str = variable.builtin;
+
       var res = Descriptor(str, {
-        type: type,
+        type: variable.type,
+        dimensions: variable.dimensions,
         complexity: 0
       });
 
@@ -656,13 +1081,12 @@ GLSL.prototype.transforms = {
 
   break: function () {return Descriptor('break')},
 
-  discard:  function () {return Descriptor('discard()')},
+  discard:  function () {return Descriptor('discard')},
 
   'do-while': function (node) {
     var exprs = this.process(node.children[0]);
     var cond = this.process(node.children[1]);
-    return Descriptor(`do {\n${exprs}\n} while (${cond})`, {
-    });
+    return Descriptor(`do ${braces(exprs)} while (${cond})`);
   },
 
   binary: function (node) {
@@ -698,6 +1122,23 @@ GLSL.prototype.transforms = {
     else {
       var left = this.process(node.children[0]);
     }
+
+    //m[i] of column fields is read by helper, which cannot be assigned
+    if (/^my_column_/.test(left)) {
+      throw Error('Matrix column assignment by non-constant index is not supported in GLSL ES 1.00: ' + left);
+    }
+
+    //a *= b → a = my_multiple_T_T(a, b) for fixed-point operands
+    var binary = operator.slice(0, -1);
+    if (this.processOperation.helpers[binary] && (this.isFixed(left.type) || this.isFixed(right.type))) {
+      //lvalue is evaluated twice in the expanded form, like a[i++]
+      if (this.hasSideEffects(node.children[0])) {
+        throw Error(`Compound assignment to an lvalue with side effects is not supported in fixed-point: ${left} ${operator} ${right}`);
+      }
+      right = this.processOperation(left, right, binary);
+      operator = '=';
+    }
+
     return Descriptor(`${left} ${operator} ${right}`, {
       type: right.type,
       complexity: 1
@@ -717,6 +1158,22 @@ GLSL.prototype.transforms = {
 
     var complexity = str.complexity + 1;
 
+    //++x on fixed-point value adds 1.0, negation of scaled value is native
+    if ((node.data === '++' || node.data === '--') && this.isFixed(str.type)) {
+      this.checkIncrement(node.children[0], node.data + str);
+      return this.processIncrement(str, node.data, true, !isStatement(node));
+    }
+
+    //negative literal is scaled as a whole, as rounding of the value depends on the sign
+    if (node.data === '-' && node.children[0].type === 'literal' && str.type === 'float' && this.fixedPoint) {
+      return Descriptor(this.toFixed(-parseFloat(node.children[0].data)), {type: 'float', complexity: 0});
+    }
+
+    //matrices are structs, so negation goes through the helper
+    if (node.data === '-' && /mat/.test(str.type) && this.isFixed(str.type)) {
+      return this.processOperation(Descriptor('0', {type: 'float', complexity: 0}), str, '-');
+    }
+
     //ignore + operator, we dont need to cast data
     if (node.data === '+') {
       //++x
@@ -735,7 +1192,16 @@ GLSL.prototype.transforms = {
 
   //gl_Position, gl_FragColor, gl_FragPosition etc
   builtin: function (node) {
-    return Descriptor(node.data, {
+    //float builtins are used via fixed-point copies
+    if (this.fixedPoint && bridges[node.data]) {
+      this.bridgedBuiltins[node.data] = bridges[node.data];
+      return Descriptor(BRIDGE + node.data, {
+        type: this.builtins[node.data],
+        complexity: 0
+      });
+    }
+
+    return Descriptor(this.migrateBuiltin(node.data), {
       type: this.builtins[node.data],
       complexity: 0
     });
@@ -765,41 +1231,100 @@ GLSL.prototype.transforms = {
     //first node is caller: float(), float[2](), vec4[1][3][4]() etc.
     else {
       var callName = this.process(node.children[0]);
+
+      //texture lookups are named by the target version, like texture2D → texture
+      var lookup = this.migrateLookup(callName + '', argTypes[0]);
+      if (lookup !== callName + '') callName = Descriptor(lookup, {complexity: 0});
     }
 
 
     //someFn()
     var type, optimize = true;
 
-    //stdlib()
-    if (this.stdlib[callName]) {
-      this.addInclude(callName);
+    //user function, the overload is picked by argument types
+    if (this.overloads.hasOwnProperty(callName)) {
+      var overload = this.resolveOverload(callName, argTypes);
+      callName = overload.name;
+      type = overload.type;
+    }
 
-      //if callname is other than included name - redirect call name
-      if (this.stdlib[callName].name) {
-        callName = this.stdlib[callName].name;
-      }
+    //array constructors, like float[2](1., 2.), take converted item type
+    else if (node.children[0].type === 'binary' && node.children[0].data === '[') {
+      var itemType = node.children[0].children[0].token.data;
+      var size = this.process(node.children[0].children[1]);
+      type = itemType;
+      callName = Descriptor(`${this.convertType(itemType)}[${size}]`, {type: itemType});
+      var dimensions = [/^[0-9]+$/.test(size) ? Number(size) : size + ''];
+    }
+
+    //vec2(), ivec3(), mat4() etc. constructors are native, matrices are constructed by helpers
+    else if (this.types[callName] && !this.structs.hasOwnProperty(callName)) {
+      type = callName + '';
+      if (!this.fixedPoint || !this.callchanges[callName]) callName = Descriptor(this.convertType(type), {type: type});
+
+      //arguments get the representation of components, like fixed-point ones of float(i)
+      if (this.fixedPoint) {
+        var scalar = /mat/.test(type) ? 'float' : /vec/.test(type) ? this.types[type].type : type;
+        var casts = argValues.map(function (arg) {
+          return this.processCast(arg, scalar);
+        }, this);
+
+        //single converted argument needs no constructor, like float(i) → my_float_int(i)
+        if (casts.length === 1 && casts[0] !== argValues[0] && casts[0].type === type) return casts[0];
 
-      //add other includes if any
-      this.addInclude(this.stdlib[callName].include);
+        argValues = casts;
+        argTypes = casts.map(function (arg) {
+          return arg.type;
+        });
+
+        //matrices of vectors mixed with scalars take components, like mat2(v3, x) → my_imat2_int_int_int_int
+        var constructor = this.prelude[this.callchanges[type]];
+        if (constructor && !constructor[argTypes.map(function (type) {
+          return this.varchanges[type] || type;
+        }, this).join('_')]) {
+          argValues = this.matrixComponents(argValues, this.types[type].length);
+          argTypes = argValues.map(function (arg) {
+            return arg.type;
+          });
+        }
+      }
+    }
 
+    //builtins are native GLSL, the fixed-point ones are replaced by prelude helpers below
+    else if (this.stdlib[callName]) {
       type = this.stdlib[callName].type;
       if (type instanceof Function) type = type.call(this, node);
     }
 
+    //struct constructors return own type
+    if (this.structs.hasOwnProperty(callName)) {
+      type = callName + '';
+    }
+
     if (!type) {
       //Unable to guess the type of '${callName}' as it is undefined. Guess it returns the type of the first argument.
       type = this.process(node.children[1]).type;
       optimize = false;
     }
     
-    //chaneg call Name to callchanges
-    if (callName in this.callchanges) {
+    //builtins of fixed-point values are replaced by prelude helpers, integer ones stay native, like sign(int)
+    var fixed = argTypes.some(this.isFixed, this) || this.isFixed(type);
+    if (this.fixedPoint && fixed && callName in this.callchanges) {
       callName = this.callchanges[callName];
+
+      //call builtin overload for the converted argument types, like my_clamp_ivec3_int_int
+      if (this.prelude[callName]) {
+        var signature = argTypes.map(function (type) {
+          return this.varchanges[type] || type;
+        }, this).join('_');
+        this.addHelper(callName, signature);
+        callName = `${callName}_${signature}`;
+      }
     }
 
     var res = Descriptor(`${callName}(${argValues.join(', ')})`, {
       type: type || callName.type,
+      dimensions: dimensions,
       complexity: 999 /* argValues.reduce(function (prev, curr) {
                          return curr.complexity+prev;
                          }, callName.complexity||999) */,
@@ -810,35 +1335,40 @@ GLSL.prototype.transforms = {
   },
 
   literal: function (node) {
-    //convert float to int 
-    if (floatRE.test(node.data)) {
-      node.data = node.data.split('.')[0];
-    }
     var result = /^[0-9][xob]/.test(node.data) ? Number(node.data) : node.data;
     //guess type - as far in js any number tends to be a float, give priority to it
     //in order to avoid unnecessary types alignment
     var type;
     if (/true|false/i.test(node.data)) type = 'bool';
     else if (/^[0-9]+$/.test(node.data) > 0) type = 'int';
-    else if (floatRE.test(node.data)) type = 'float';
+    else if (/^(0x[0-9a-f]+|[0-9]+)u$/i.test(node.data)) {
+      type = 'uint';
+      result = node.data;
+    }
+    else if (fractionRE.test(node.data)) {
+      type = 'float';
+
+      //convert float to fixed-point int
+      if (this.fixedPoint) result = this.toFixed(parseFloat(node.data));
+    }
     return Descriptor(result, {type: type, complexity: 0});
   },
 
-  //ifs are the same as js
+  //else-if chains stay flat, like `if (a) {...} else if (b) {...}`
   if: function (node) {
     var cond = this.process(node.children[0]);
     var ifBody = this.process(node.children[1]);
 
-    var result = `if (${cond}) {\n${ifBody}\n}`;
+    var result = `if (${cond}) ${braces(ifBody)}`;
 
-    if (node.children.length > 1) {
-      var elseBody = this.process(node.children[2]);
-      if (elseBody.visible) result += ` else {\n${elseBody}\n}`;
+    if (node.children.length > 2) {
+      var elseNode = node.children[2];
+      var elseBody = this.process(elseNode);
+      if (elseNode.children[0] && elseNode.children[0].type === 'if') result += ` else ${elseBody}`;
+      else if (elseBody + '') result += ` else ${braces(elseBody)}`;
     }
 
-    return Descriptor(result, {
-      type: 'float'
-    });
+    return Descriptor(result);
   },
 
   //grouped expression like a = (a - 1);
@@ -872,7 +1402,7 @@ GLSL.prototype.transforms = {
  * Return list if ids for swizzle letters
  */
 GLSL.prototype.swizzlePositions = function (prop) {
-  var swizzles = 'xyzwstpdrgba';
+  var swizzles = 'xyzwstpqrgba';
   var positions = [];
   for (var i = 0, l = prop.length; i < l; i++) {
     var letter = prop[i];
@@ -883,8 +1413,8 @@ GLSL.prototype.swizzlePositions = function (prop) {
 };
 
 /**
- * Transform access node to a swizzle construct
- * ab.xyz → [ab[0], ab[1], ab[2]]
+ * Transform access node to a vector constructor, for swizzles GLSL does not take natively
+ * a.xg → ivec2(a.x, a.y), x.xx → ivec2(x, x)
  */
 GLSL.prototype.unswizzle = function (node) {
   var identNode = node.children[0];
@@ -892,40 +1422,40 @@ GLSL.prototype.unswizzle = function (node) {
   var ident = this.process(identNode);
   var type = ident.type;
   var prop = node.children[1].data;
+  var scalar = this.types[type].type;
+  var size = /vec/.test(type) ? parseInt(type.slice(-1)) : 1;
 
-  var positions = this.swizzlePositions(prop),
-  args = positions.map(function (position) {
-    //[0, 1].yx → [0, 1]
-    // a.yx → [a[1], a[0]]
-    return ident.components[position];
-  });
-  //a.x → a[0]
+  var args = this.swizzlePositions(prop).map(function (position) {
+    if (position >= size) {
+      this.warn(`Cannot unswizzle '${type}(${ident}).${prop}': ${prop} is outside the type range.`);
+    }
+    return size > 1 ? `${ident}.${'xyzw'[position]}` : ident + '';
+  }, this);
+
+  //a.x → a.x
   if (args.length === 1) {
-    if (args[0] == null) console.warn(`Cannot unswizzle '${ident.type}(${ident}).${prop}': ${prop} is outside the type range.`);
-    var result = Descriptor(args[0]||'undefined', {
-      type: 'float',
+    return Descriptor(args[0], {
+      type: scalar,
       complexity: 1
     });
-    return result;
   }
 
-  var complexity = args.length * ident.complexity;
+  var vectorType = {float: 'vec', int: 'ivec', bool: 'bvec'}[scalar] + args.length;
 
-  //a.yz → [1, 2].map(function(x) { return this[x]; }, a)
-  var result = Descriptor(`[${positions.join(', ')}].map(function (x, i) { return this[x]}, ${ident})`, {
-    complexity: args.length*2,
-    type: `vec${args.length}`,
-    components: args
+  return Descriptor(`${this.convertType(vectorType)}(${args.join(', ')})`, {
+    complexity: args.length * 2,
+    type: vectorType
   });
-
-  result = this.optimizeDescriptor(result);
-
-  return result;
 }
 
 
 /**
- * Get/set variable from/to a [current] scope
+ * Get variable info from the scope or register it there.
+ * Variables with storage qualifier are collected also to uniforms, attributes or varyings.
+ *
+ * @param {string} ident Variable name
+ * @param {object} data Declaration info, like `{type: 'vec3', binding: 'uniform'}`
+ * @param {string} scope Scope name, current one by default
  */
 GLSL.prototype.variable = function (ident, data, scope) {
   if (!scope) scope = this.currentScope;
@@ -936,17 +1466,25 @@ GLSL.prototype.variable = function (ident, data, scope) {
     if (!this.scopes[scope][ident]) {
       this.scopes[scope][ident] = {};
     }
-    //if value is passed - we guess that variable knows how to init itself
-    //usually it is `call` node rendered
-    // else {
-    // }
-
+    var variable = extend(this.scopes[scope][ident], data);
 
     //just set an id
     if (variable.id == null) variable.id = ident;
 
     //save scope
-    if (variable.scope == null) variable.scope = this.scopes[scope];
+    if (variable.scope == null) variable.scope = scope;
+
+    if (variable.dimensions == null) variable.dimensions = [];
+
+    //type in the result, host passes values of fixed-point ones multiplied by scale
+    var fixed = this.isFixed(variable.type) && !variable.bridge;
+    variable.convertedType = fixed ? this.varchanges[variable.type] : variable.type;
+    variable.scale = fixed ? this.fixedPoint.scale : 1;
+
+    //struct fields are converted each, host passes them multiplied by own scales
+    if (this.structs.hasOwnProperty(variable.type) && this.structs[variable.type].fields) {
+      variable.fields = this.structFields(variable.type);
+    }
 
     //save variable to the collections
     if (variable.binding === 'uniform') {
@@ -958,6 +1496,9 @@ GLSL.prototype.variable = function (ident, data, scope) {
     if (variable.binding === 'varying') {
       this.varyings[ident] = variable;
     }
+    if (variable.binding === 'output') {
+      this.outputs[ident] = variable;
+    }
 
     return variable;
   }
@@ -967,6 +1508,168 @@ GLSL.prototype.variable = function (ident, data, scope) {
 };
 
 
+/**
+ * Converted types and scales of struct fields, like `{pos: {type: 'vec3', convertedType: 'ivec3', dimensions: [], scale: 65536}}`,
+ * fields of nested structs are listed by `fields` of their own
+ */
+GLSL.prototype.structFields = function (type) {
+  var fields = this.structs[type].fields;
+  var result = {};
+
+  Object.keys(fields).forEach(function (name) {
+    var field = fields[name];
+    var fixed = this.isFixed(field.type);
+
+    result[name] = {
+      type: field.type,
+      convertedType: fixed ? this.varchanges[field.type] : field.type,
+      dimensions: field.dimensions,
+      scale: fixed ? this.fixedPoint.scale : 1
+    };
+    if (this.structs.hasOwnProperty(field.type)) result[name].fields = this.structFields(field.type);
+  }, this);
+
+  return result;
+};
+
+
+/**
+ * Find variable visible from the current scope, the closest one shadows outer ones
+ */
+GLSL.prototype.lookup = function (ident) {
+  var scope = this.scopes[this.currentScope];
+
+  while (scope && !scope.hasOwnProperty(ident)) {
+    scope = scope.__parentScope;
+  }
+
+  return scope ? scope[ident] : null;
+};
+
+
+/**
+ * Register functions declared in the program before processing, so that calls know their overloads.
+ * Overloaded functions are named after argument types, like `f_float_vec2`.
+ */
+GLSL.prototype.registerFunctions = function (tree) {
+  var functions = (tree.children || []).map(function (stmt) {
+    var decl = stmt.children && stmt.children[0];
+    if (!decl || decl.type !== 'decl' || !decl.children[5] || decl.children[5].type !== 'function') return null;
+    return decl.children[5];
+  }).filter(Boolean);
+
+  var used = {};
+  functions.forEach(function (node) {
+    var name = node.children[0].data;
+    var args = signature(node);
+    used[name] = true;
+
+    if (!this.overloads.hasOwnProperty(name)) this.overloads[name] = {};
+    if (this.overloads[name].hasOwnProperty(args.join('_'))) return;
+
+    this.overloads[name][args.join('_')] = {
+      name: name,
+      args: args,
+      type: node.parent.children[4].token.data
+    };
+  }, this);
+
+  //mangled names should not collide with declared ones, like `f_float` defined by user
+  for (var name in this.overloads) {
+    var overloads = this.overloads[name];
+    if (Object.keys(overloads).length < 2) continue;
+
+    for (var key in overloads) {
+      if (!key) continue;
+
+      var mangled = `${name}_${key}`;
+      for (var n = 1; used[mangled]; n++) mangled = `${name}_${key}_${n}`;
+
+      used[mangled] = true;
+      overloads[key].name = mangled;
+    }
+  }
+};
+
+
+/**
+ * Overload of a function declaration node. Streamed declarations are not registered beforehand,
+ * so they are registered as they arrive, and later overloads get mangled names.
+ */
+GLSL.prototype.functionOverload = function (node) {
+  var name = node.children[0].data;
+  var args = signature(node);
+  var key = args.join('_');
+
+  if (!this.overloads.hasOwnProperty(name)) this.overloads[name] = {};
+
+  var overloads = this.overloads[name];
+  if (!overloads.hasOwnProperty(key)) {
+    overloads[key] = {
+      name: Object.keys(overloads).length && key ? `${name}_${key}` : name,
+      args: args,
+      type: node.parent.children[4].token.data
+    };
+  }
+
+  return overloads[key];
+};
+
+
+/**
+ * Find overload of a user function for the argument types
+ */
+GLSL.prototype.resolveOverload = function (name, types) {
+  var overloads = this.overloads[name];
+  var key = types.join('_');
+
+  if (overloads.hasOwnProperty(key)) return overloads[key];
+
+  var candidates = Object.keys(overloads).map(function (key) {
+    return overloads[key];
+  });
+  var sameLength = candidates.filter(function (overload) {
+    return overload.args.length === types.length;
+  });
+  var overload = sameLength[0] || candidates[0];
+
+  if (candidates.length > 1) {
+    this.warn(`Cannot find '${name}(${types.join(', ')})' overload, '${overload.name}(${overload.args.join(', ')})' is used.`);
+  }
+
+  return overload;
+};
+
+
+/**
+ * Enter a scope, nested blocks are created as `<parent>.<n>` if no name is passed
+ */
+GLSL.prototype.enterScope = function (name) {
+  var parent = this.scopes[this.currentScope];
+  if (name == null) name = `${parent.__name}.${++parent.__blocks}`;
+
+  if (!this.scopes[name]) {
+    this.scopes[name] = {
+      __name: name,
+      __parentScope: parent,
+      __blocks: 0
+    };
+  }
+
+  this.currentScope = name;
+
+  return this.scopes[name];
+};
+
+
+/**
+ * Get back to the parent scope
+ */
+GLSL.prototype.exitScope = function () {
+  this.currentScope = this.scopes[this.currentScope].__parentScope.__name;
+};
+
+
 /**
  * Return value wrapped to the proper number of dimensions
  */
@@ -999,6 +1702,119 @@ GLSL.prototype.wrapDimensions = function (value, dimensions) {
 GLSL.prototype.processOperation = operators;
 
 
+/**
+ * Fold constant expression, see ./constant
+ */
+GLSL.prototype.evaluate = constant;
+GLSL.prototype.stringifyConstant = constant.stringify;
+
+
+/**
+ * Whether evaluation of the node changes state: assignments, increments or user function calls
+ */
+GLSL.prototype.hasSideEffects = function (node) {
+  if (node.type === 'assign' || node.type === 'suffix') return true;
+  if (node.type === 'unary' && (node.data === '++' || node.data === '--')) return true;
+
+  //parser splits prefix increments in brackets, like a[++i] → +(+i)
+  if (node.type === 'unary' && node.children[0].type === 'unary' && node.children[0].data === node.data) return true;
+  if (node.type === 'call' && this.overloads.hasOwnProperty(node.children[0].data)) return true;
+
+  return (node.children || []).some(this.hasSideEffects, this);
+};
+
+
+/**
+ * Increment of fixed-point value evaluates the operand twice, so it cannot have side effects, like a[i++]++
+ */
+GLSL.prototype.checkIncrement = function (operand, source) {
+  if (this.hasSideEffects(operand)) {
+    throw Error(`Increment of an lvalue with side effects is not supported in fixed-point: ${source}`);
+  }
+};
+
+
+/**
+ * Render `for` step, GLSL ES 1.00 Appendix A allows only `i++`, `i--`, `i += const` and `i -= const` there,
+ * so fixed-point step keeps the native form where the addition helper is native, like f += 0.25 → f += 64, g++ → g += FIXED_SCALE
+ */
+GLSL.prototype.processLoopStep = function (node) {
+  var step = node.children[0];
+  var increment = step && (step.type === 'suffix' || step.type === 'unary') && /^(\+\+|--)$/.test(step.data);
+  var compound = step && step.type === 'assign' && /^[+-]=$/.test(step.data);
+  if (!increment && !compound) return this.process(node);
+
+  var left = this.process(step.children[0]);
+  if (!this.isFixed(left.type) || !this.isNativeAddition(left.type)) return this.process(node);
+
+  if (increment) {
+    this.checkIncrement(step.children[0], step.type === 'suffix' ? left + step.data : step.data + left);
+    return Descriptor(`${left} ${step.data[0]}= FIXED_SCALE`, {type: left.type, complexity: 1});
+  }
+
+  var right = this.process(step.children[1]);
+  if (/^(int|ivec[234])$/.test(right.type)) right = this.processOperation.scale.call(this, right);
+
+  return Descriptor(`${left} ${step.data} ${right}`, {type: left.type, complexity: 1});
+};
+
+
+/**
+ * Whether fixed-point addition of the type is rendered by native operators, see ./prelude
+ */
+GLSL.prototype.isNativeAddition = function (type) {
+  return this.overflow !== 'saturate' && !/mat/.test(type);
+};
+
+
+/**
+ * Render increment/decrement of fixed-point value as addition of the scale,
+ * value of used postfix form is the one before the change
+ */
+GLSL.prototype.processIncrement = function (value, operator, prefix, used) {
+  var one = Descriptor('FIXED_SCALE', {type: 'float', complexity: 0});
+  var result = Descriptor(`${value} = ${this.processOperation(value, one, operator[0])}`, {
+    type: value.type
+  });
+
+  if (!used) return result;
+
+  result = Descriptor(`(${result})`, {type: value.type});
+  if (prefix) return result;
+
+  return this.processOperation(result, one, operator[0] === '+' ? '-' : '+');
+};
+
+
+/**
+ * Convert constructor argument to the representation of `scalar` components, like int → fixed-point for `vec3(i)`.
+ * Fixed-point values go through `my_float`, `my_int` or `my_uint` helpers, literals are converted in place.
+ * bool(x) compares with zero natively, as fixed-point zero is 0.
+ */
+GLSL.prototype.processCast = function (value, scalar) {
+  var match = /^(?:([ibu]?)vec([234])|(float|u?int|bool))$/.exec(value.type);
+  if (!match || scalar === 'bool') return value;
+
+  var source = match[3] || {'': 'float', i: 'int', u: 'uint', b: 'bool'}[match[1]];
+  if ((source === 'float') === (scalar === 'float')) return value;
+
+  var type = match[2] ? `${{float: '', int: 'i', uint: 'u'}[scalar]}vec${match[2]}` : scalar;
+
+  //3 → 65536, 98304 → 1
+  if (/^-?[0-9]+$/.test(value)) {
+    var number = Number(value);
+    if (scalar === 'float') return Descriptor(this.toFixed(number), {type: type, complexity: 0});
+    return Descriptor(Math.trunc(number / this.fixedPoint.scale) + (scalar === 'uint' ? 'u' : ''), {type: type, complexity: 0});
+  }
+
+  var helper = scalar === 'float' ? 'my_float' : `my_${scalar}`;
+  var signature = this.varchanges[value.type] || value.type;
+  this.addHelper(helper, signature);
+
+  return Descriptor(`${helper}_${signature}(${value})`, {type: type});
+};
+
+
 /**
  * Add include, pass optional prop object
  */
@@ -1028,6 +1844,15 @@ GLSL.prototype.addInclude = function (name, prop) {
 }
 
 
+/**
+ * Add helper overload, like `my_add` for `ivec3_int` signature
+ */
+GLSL.prototype.addHelper = function (name, signature) {
+  if (!this.helpers[name]) this.helpers[name] = {};
+  this.helpers[name][signature] = true;
+}
+
+
 /**
  * Get stdlib source for includes
  */
@@ -1044,7 +1869,7 @@ GLSL.prototype.stringifyStdlib = function (includes) {
     if (includes[meth]) {
       for (var prop in includes[meth]) {
         if (!this.stdlib[meth][prop]) {
-          console.warn(`Cannot find '${meth}.${prop}' in stdlib`);
+          this.warn(`Cannot find '${meth}.${prop}' in stdlib`);
           continue;
         }
         methods.push(`${meth}.${prop} = ${this.stdlib[meth][prop].toString()}`);
@@ -1056,4 +1881,363 @@ GLSL.prototype.stringifyStdlib = function (includes) {
 };
 
 
+/**
+ * Fixed-point counterpart of the type, like vec3 → ivec3.
+ * Matrices are prelude structs, so the used ones get included.
+ */
+GLSL.prototype.convertType = function (type) {
+  if (!this.fixedPoint) return type;
+
+  var converted = this.varchanges[type] || type;
+  if (this.prelude[converted] && this.prelude[converted].struct) this.addHelper(converted, 'struct');
+  return converted;
+};
+
+
+/**
+ * Whether matrix structs keep columns in array, like `m.col[i]`.
+ * GLSL ES 1.00 functions cannot return structs containing arrays, so there columns are fields, like `m.c0`.
+ */
+GLSL.prototype.columnArrays = function () {
+  return /^[34][0-9]{2}/.test(this.version || this.sourceVersion || '');
+};
+
+
+/**
+ * Column of the matrix struct, like `m.col[1]` or `m.c1`, index is a constant
+ */
+GLSL.prototype.matrixColumn = function (matrix, index) {
+  return this.columnArrays() ? `${matrix}.col[${index}]` : `${matrix}.c${index}`;
+};
+
+
+/**
+ * Scalar components of matrix constructor arguments, like `(v3, x)` → `v3.x, v3.y, v3.z, x`.
+ * Extra components of the last argument are left, as GLSL does.
+ */
+GLSL.prototype.matrixComponents = function (args, size) {
+  var components = [];
+
+  args.forEach(function (arg) {
+    if (!/vec/.test(arg.type)) return components.push(arg);
+
+    var scalar = this.types[arg.type].type;
+    var value = /^\w+$/.test(arg) ? arg : `(${arg})`;
+    for (var i = 0; i < this.types[arg.type].length; i++) {
+      components.push(Descriptor(`${value}.${'xyzw'[i]}`, {type: scalar, complexity: arg.complexity + 1}));
+    }
+  }, this);
+
+  return components.slice(0, size * size);
+};
+
+
+/**
+ * Collection of variables the storage qualifier declares: GLSL ES 3.00 in/out
+ * are attributes and varyings of vertex shader, varyings and outputs of fragment one
+ */
+GLSL.prototype.storageBinding = function (storage) {
+  if (storage === 'in') return this.vertex ? 'attribute' : 'varying';
+  if (storage === 'out') return this.vertex ? 'varying' : 'output';
+  return storage;
+};
+
+
+/**
+ * Storage qualifier in the target version, like `attribute` → `in`
+ */
+GLSL.prototype.migrateStorage = function (storage) {
+  if (!this.version) return storage;
+
+  var es1 = this.version === '100';
+
+  if (storage === 'attribute' || storage === 'in' && this.vertex) return es1 ? 'attribute' : 'in';
+  if (storage === 'varying' || storage === 'in' || storage === 'out' && this.vertex) {
+    if (es1) return 'varying';
+    return this.vertex ? 'out' : 'in';
+  }
+
+  return storage;
+};
+
+
+/**
+ * Builtin name in the target version, ES 1.00 fragment outputs are declared in later ones
+ */
+GLSL.prototype.migrateBuiltin = function (name) {
+  if (!this.version || this.version === '100' || !fragmentOutputs[name]) return name;
+
+  var id = fragmentOutputs[name];
+  this.declarations[name] = `out vec4 ${id}${name === 'gl_FragData' ? '[gl_MaxDrawBuffers]' : ''};`;
+
+  return id;
+};
+
+
+/**
+ * Texture lookup name in the target version, ES 1.00 ones are named by sampler, like textureCube
+ */
+GLSL.prototype.migrateLookup = function (name, samplerType) {
+  if (!this.version) return name;
+
+  if (this.version !== '100') return lookups.hasOwnProperty(name) ? lookups[name] : name;
+
+  if (!/^texture(Proj)?(Lod)?$/.test(name)) return name;
+  return name.replace('texture', /Cube/.test(samplerType) ? 'textureCube' : 'texture2D');
+};
+
+
+/**
+ * Whether values of the type are converted to fixed-point, none are with `fixedPoint: false`
+ */
+GLSL.prototype.isFixed = function (type) {
+  return !!this.fixedPoint && operators.isFixed(type);
+};
+
+
+/**
+ * Reject types of the tree without fixed-point representation, like non-square matrices,
+ * which have no prelude structs
+ */
+GLSL.prototype.checkTypes = function (node) {
+  var token = node.token;
+  if (token && token.type === 'keyword' && this.isFixed(token.data) && !this.varchanges[token.data]) {
+    throw Error(`Type ${token.data} at line ${token.line} is not supported in fixed-point, use fixedPoint: false`);
+  }
+
+  (node.children || []).forEach(this.checkTypes, this);
+};
+
+
+/**
+ * Warn if int precision does not guarantee the range of the fixed-point format.
+ * Ranges are the minimums of GLSL ES specs, desktop GLSL ints are always 32-bit.
+ */
+GLSL.prototype.checkPrecision = function (precision) {
+  if (this.precisions[precision]) return;
+  this.precisions[precision] = true;
+
+  var version = this.version || this.sourceVersion || '100';
+  var bits = precisionBits[version] && precisionBits[version][precision];
+  if (!bits || bits >= 31) return;
+
+  var fractionBits = this.fixedPoint.fractionBits;
+  this.warn(`'${precision} int' guarantees ±2^${bits} in GLSL ES ${version === '100' ? '1.00' : '3.00'}, fixed-point values with ${fractionBits} fraction bits are limited to ±${Math.pow(2, bits - fractionBits)}.`);
+};
+
+
+/**
+ * Convert float value to the fixed-point int
+ */
+GLSL.prototype.toFixed = function (value) {
+  var result = round(value * this.fixedPoint.scale, this.rounding);
+
+  if (Math.abs(result) > INT_MAX) {
+    this.warn(`Value ${value} is out of the fixed-point range, clamped.`);
+    result = Math.sign(result) * INT_MAX;
+  }
+
+  return result;
+};
+
+
+/**
+ * Get prelude source for the helpers used, prefixed with the fixed-point format
+ */
+GLSL.prototype.stringifyPrelude = function (helpers) {
+  if (!helpers) helpers = this.helpers;
+  var overloads = [
+    `#define FIXED_FRACTION_BITS ${this.fixedPoint.fractionBits}`,
+    `#define FIXED_SCALE ${this.fixedPoint.scale}`
+  ];
+  var rendered = {};
+
+  //render overload after the overloads it calls
+  var render = function (name, signature) {
+    if (rendered[`${name}.${signature}`]) return;
+    rendered[`${name}.${signature}`] = true;
+
+    if (!this.prelude[name] || !this.prelude[name][signature]) {
+      this.warn(`Cannot find '${name}(${signature.split('_').join(', ')})' in prelude`);
+      return;
+    }
+
+    var overload = this.prelude[name][signature];
+    overload.include.call(this).forEach(function (include) {
+      render.apply(this, include.split('.'));
+    }, this);
+    overloads.push(overload.call(this));
+  };
+
+  for (var name in helpers) {
+    for (var signature in helpers[name]) {
+      render.call(this, name, signature);
+    }
+  }
+
+  return overloads.join('\n');
+};
+
+
+/**
+ * Whether there are float interface variables or builtins used via fixed-point copies
+ */
+GLSL.prototype.hasBridge = function () {
+  if (Object.keys(this.bridgedBuiltins).length) return true;
+
+  return [this.uniforms, this.attributes, this.varyings, this.outputs].some(function (collection) {
+    return Object.keys(collection).some(function (name) {
+      return collection[name].bridge;
+    });
+  });
+};
+
+
+/**
+ * Render main converting float interface to the fixed-point copies before the shader main,
+ * and outputs back after it. Varyings are outputs of vertex shader and inputs of fragment one.
+ */
+GLSL.prototype.stringifyBridge = function () {
+  if (!this.functions[BRIDGE + 'main']) return '';
+
+  var builtins = this.bridgedBuiltins;
+  var vertex = this.vertex || Object.keys(this.attributes).length;
+  var inputs = [], outputs = [];
+
+  [this.uniforms, this.attributes, this.varyings, this.outputs].forEach(function (collection) {
+    for (var name in collection) {
+      if (!collection[name].bridge) continue;
+      (collection === this.outputs || collection === this.varyings && vertex ? outputs : inputs).push(collection[name]);
+    }
+  }, this);
+
+  for (var name in builtins) {
+    (builtins[name] === 'in' ? inputs : outputs).push({
+      id: this.migrateBuiltin(name),
+      type: this.builtins[name],
+      dimensions: name === 'gl_FragData' ? ['gl_MaxDrawBuffers'] : [],
+      bridge: BRIDGE + name
+    });
+  }
+
+  //matrices are converted by columns
+  var columns = function (type, column) {
+    var result = [];
+    for (var i = 0, l = parseInt(type.slice(-1)); i < l; i++) result.push(column(i, 'vec' + l));
+    return result;
+  };
+
+  var lines = inputs.map(function (variable) {
+    var conversion = `${this.varchanges[variable.type]}(%s * float(FIXED_SCALE))`;
+    if (/mat/.test(variable.type)) {
+      var mat = this.convertType(variable.type);
+      var args = columns(variable.type, function (i, vector) {
+        return `i${vector}(%s[${i}] * float(FIXED_SCALE))`;
+      });
+      var signature = args.map(function (arg) { return /^\w+/.exec(arg)[0]; }).join('_');
+      this.addHelper('my_' + mat, signature);
+      conversion = `my_${mat}_${signature}(${args.join(', ')})`;
+    }
+    return convert(variable, variable.bridge, conversion, variable.id);
+  }, this).concat(`${BRIDGE}main();`, outputs.map(function (variable) {
+    var conversion = `${variable.type}(%s) / float(FIXED_SCALE)`;
+    if (/mat/.test(variable.type)) {
+      conversion = `${variable.type}(${columns(variable.type, function (i, vector) {
+        return `${vector}(${this.matrixColumn('%s', i)}) / float(FIXED_SCALE)`;
+      }.bind(this)).join(', ')})`;
+    }
+    return convert(variable, variable.builtin || variable.id, conversion, variable.bridge);
+  }, this));
+
+  return `void main () {\n${lines.map(function (line) { return '\t' + line; }).join('\n')}\n}`;
+};
+
+
+//argument types of function node, like ['float', 'vec2']
+function signature (node) {
+  return node.children[1].children.filter(function (arg) {
+    return arg.type === 'decl';
+  }).map(function (arg) {
+    return arg.children[4].token.data;
+  });
+}
+
+
+//render assignment of converted variable, arrays are converted by items
+function convert (variable, target, conversion, source) {
+  if (!variable.dimensions.length) {
+    return `${target} = ${conversion.replace(/%s/g, source)};`;
+  }
+
+  return `for (int i = 0; i < ${variable.dimensions[0]}; i++) ${target}[i] = ${conversion.replace(/%s/g, source + '[i]')};`;
+}
+
+
+//number of fragment outputs declared in the program
+function countOutputs (program) {
+  return program.children.filter(function (stmt) {
+    var decl = stmt.children && stmt.children[0];
+    return decl && decl.type === 'decl' && decl.children[1].token.data === 'out';
+  }).length;
+}
+
+
+//whether any of struct fields, nested ones too, is fixed-point
+function hasFixedFields (fields) {
+  return Object.keys(fields).some(function (name) {
+    return fields[name].convertedType !== fields[name].type || !!fields[name].fields && hasFixedFields(fields[name].fields);
+  });
+}
+
+
+/**
+ * Whether the shader is vertex one, by builtins only vertex shaders have
+ */
+function isVertex (node) {
+  if (node.type === 'builtin' && /^gl_(Position|PointSize|VertexID|InstanceID)$/.test(node.data)) return true;
+  return (node.children || []).some(isVertex);
+}
+
+
+/**
+ * Whether the expression value is dropped, like `x++;` or loop iteration
+ */
+function isStatement (node) {
+  var parent = node.parent;
+  return parent.type === 'expr' && (parent.parent.type === 'stmt' || parent.parent.type === 'forloop');
+}
+
+
+//whether statement ends with a block or a label, like loops or function definitions
+function isCompound (node) {
+  if (/^(if|forloop|whileloop|switch|stmtlist|case|default)$/.test(node.type)) return true;
+
+  var fn = node.type === 'decl' && node.children[5];
+  return !!fn && fn.type === 'function' && fn.children.length > 2;
+}
+
+
+//wrap statements into indented block, empty one is kept multiline since tokenizer takes `{}` as one operator
+function braces (body) {
+  if (!(body + '')) return '{\n}';
+  return `{\n\t${body.replace(/\n/g, '\n\t')}\n}`;
+}
+
+
+/**
+ * Round scaled value by the rounding mode, ties of `round-half-up` go towards +infinity
+ */
+function round (value, rounding) {
+  if (rounding === 'floor') return Math.floor(value);
+  if (rounding === 'round-half-up') return Math.floor(value + 0.5);
+  if (rounding === 'round-half-even') {
+    var floor = Math.floor(value);
+    var diff = value - floor;
+    if (diff === 0.5) return floor % 2 ? floor + 1 : floor;
+    return diff > 0.5 ? floor + 1 : floor;
+  }
+  return Math.trunc(value);
+}
+
+
 module.exports = GLSL;
@@ -0,0 +1,1230 @@
+/**
+ * JavaScript backend, `target: 'js'`.
+ * Renders the analysed tree to executable js: vectors and matrices are arrays,
+ * builtins come from stdlib. Compiler instance is extended with the props below.
+ *
+ * @module  glsl-js/lib/js
+ */
+
+var assert = require('assert');
+var flatten = require('array-flatten');
+var Descriptor = require('./descriptor');
+
+var floatRE = /^-?[0-9]*(?:.[0-9]+)?(?:e-?[0-9]+)?$/i;
+
+var opComplexity = {
+	'*': 2,
+	'+': 1,
+	'-': 1,
+	'/': 2
+};
+
+
+/**
+ * Floats are native in js
+ */
+exports.fixedPoint = false;
+
+
+/**
+ * Transforms rendering js, other ones, like `functionargs` or `case`, are shared with GLSL output
+ */
+exports.transforms = {
+	stmtlist: function (node) {
+		if (!node.children.length) return Descriptor(null);
+
+		//nested {} block has own scope, function body shares one with arguments
+		var block = node.parent && node.parent.type !== 'function';
+		if (block) this.enterScope();
+
+		var result = node.children.map(this.process, this).join('\n');
+
+		if (block) this.exitScope();
+
+		return Descriptor(result);
+	},
+
+	stmt: function (node) {
+		var result = node.children.map(this.process, this).join('');
+
+		if (result && result[result.length - 1] !== ';') result += ';';
+
+		return Descriptor(result);
+	},
+
+	struct: function (node) {
+		var structName = node.children[0].data;
+
+		//get args nodes
+		var args = node.children.slice(1);
+		var argTypes = [];
+
+		//arg names
+		var argsList = flatten(args.map(function (arg) {
+			assert.equal(arg.type, 'decl', 'Struct statements should be declarations.');
+
+			var decllist = arg.children[arg.children.length - 1];
+
+			assert.equal(decllist.type, 'decllist', 'Struct statement declaration has wrong structure.');
+
+			return decllist.children.map(function (ident) {
+				assert.equal(ident.type, 'ident', 'Struct statement contains something other than just identifiers.');
+				return ident.data;
+			});
+		}));
+
+		var argTypes = flatten(args.map(function (arg) {
+			var type = arg.children[4].token.data;
+			var decllist = arg.children[arg.children.length - 1];
+			return decllist.children.map(function () {
+				return type;
+			});
+		}));
+
+		var struct = function struct () {
+			var args = arguments;
+
+			var includes = [];
+
+			var fields = argsList.map(function (argName, i) {
+				if (args[i]) {
+					var initValue = this.process(args[i]);
+				}
+				else {
+					var initValue = this.types[argTypes[i]].call(this, args[i]);
+				}
+				initValue = this.optimizeDescriptor(initValue);
+				includes = includes.concat(initValue.include);
+				return Descriptor(`${argName}: ${initValue}`, {
+					type: argTypes[i],
+					optimize: false,
+					components: initValue.components
+				});
+			}, this);
+
+			return Descriptor(`{\n${fields.join(',\n')}\n}`, {
+				type: structName,
+				optimize: false,
+				include: includes.filter(Boolean),
+				components: fields
+			});
+		}.bind(this);
+
+		//we should set length to be a compatible type constructor
+		Object.defineProperty(struct, 'length', {value: argTypes.length});
+
+		//register struct constructor, in a fashion of type constructors
+		this.structs[structName] =
+		this.types[structName] = struct;
+
+		return Descriptor(null);
+	},
+
+	function: function (node) {
+		var result = '';
+
+		//if function has no body, that means it is interface for it. We can ignore it.
+		if (node.children.length < 3) return Descriptor(null);
+
+		//add function name - overloads are resolved as in GLSL output, see overloadName
+		assert.equal(node.children[0].type, 'ident', 'Function should have an identifier.');
+		var name = this.overloadName(node.children[0].data, this.functionOverload(node));
+
+		//add args
+		assert.equal(node.children[1].type, 'functionargs', 'Function should have arguments.');
+		var args = this.process(node.children[1]);
+
+		//get out type of the function in declaration
+		var outType = node.parent.children[4].token.data;
+
+		//add body
+		assert.equal(node.children[2].type, 'stmtlist', 'Function should have a body.');
+
+		//create function body
+		result += `function ${name} (${args}) {\n`;
+		result += this.process(node.children[2]);
+		result = result.replace(/\n/g, '\n\t');
+		result += '\n}';
+
+		//get scope back to the global after fn ended
+		this.exitScope();
+
+		//create descriptor
+		result = Descriptor(result, {
+			type: outType,
+			complexity: 999
+		});
+
+		//register function descriptor
+		this.functions[name] = result;
+
+		return result;
+	},
+
+	//declarations are mapped to var a = n, b = m
+	//decl defines it’s inner placeholders rigidly
+	decl: function (node) {
+		var result;
+
+		var typeNode = node.children[4];
+		var decllist = node.children[5];
+
+		//register structure
+		if (node.token.data === 'struct') {
+			this.process(typeNode);
+			if (!decllist) return Descriptor(null);
+		}
+
+
+		assert(
+			decllist.type === 'decllist' ||
+			decllist.type === 'function' ||
+			decllist.type === 'struct',
+		'Decl structure is malicious');
+
+
+		//declare function as hoisting one
+		if (decllist.type === 'function') {
+			return this.process(decllist);
+		}
+
+		//case of function args - drop var
+		if (node.parent.type === 'functionargs') {
+			result = this.process(decllist);
+			return result;
+		}
+		//default type, like variable decl etc
+		else {
+			result = this.process(decllist);
+		}
+
+		//prevent empty var declaration
+		if (!result || !result.trim()) return Descriptor(null, {
+			type: result.type,
+			components: result.components,
+			optimize: false
+		});
+
+		return Descriptor(`var ${result}`, {
+			type: result.type,
+			components: result.components,
+			optimize: false
+		});
+	},
+
+
+	//decl list is the same as in js, so just merge identifiers, that's it
+	decllist: function (node) {
+		var variable = null, variables = [];
+
+		//get datatype - it is the 4th children of a decl
+		var dataType = node.parent.children[4].token.data;
+
+		//unwrap anonymous structure type
+		if (dataType === 'struct') {
+			dataType = node.parent.children[4].children[0].data;
+		}
+
+		//attribute, uniform, varying etc
+		var bindingType = this.storageBinding(node.parent.children[1].token.data);
+
+		//get dimensions - it is from 5th to the len-1 nodes of a decl
+		//that’s in case if dimensions are defined first-class like `float[3] c = 1;`
+		//result is [] or [3] or [1, 2] or [4, 5, 5], etc.
+		//that is OpenGL 3.0 feature
+		var dimensions = [];
+		for (var i = 5, l = node.parent.children.length - 1; i < l; i++) {
+			dimensions.push(parseInt(node.parent.children[i].children[0].children[0].data));
+		}
+
+		for (var i = 0, l = node.children.length; i < l; i++) {
+			var child = node.children[i];
+
+			if (child.type === 'ident') {
+				//save identifier to the scope, value is initialized by type if not set
+				//the name shadows outer one only after own initializer, like `float a = a * 2.;`
+				if (variable) this.variable(variable.id, variable);
+
+				variable = {
+					id: child.data,
+					alias: shadowAlias.call(this, child.data),
+					type: dataType,
+					binding: bindingType,
+					node: child,
+					dimensions: [],
+					value: null
+				};
+				variables.push(variable);
+			}
+			else if (child.type === 'quantifier') {
+				//with non-first-class array like `const float c[3]`
+				//dimensions might be undefined, so we have to specify them here
+				variable.dimensions.push(parseInt(child.children[0].children[0].data));
+			}
+			else if (child.type === 'expr') {
+				//ignore wrapping literals
+				variable.value = this.process(child);
+			}
+			else {
+				throw Error('Undefined type in decllist: ' + child.type);
+			}
+		}
+		if (variable) this.variable(variable.id, variable);
+
+		var functionargs = node.parent.parent.type === 'functionargs';
+
+		//get binding type fn
+		var replace = this[bindingType];
+
+		var comps = variables.map(function (variable) {
+			var ident = Descriptor(variable.alias || variable.id, {type: dataType});
+			if (functionargs) return ident;
+
+			variable = this.variable(variable.id);
+			if (variable.value == null) variable.value = this.initValue(variable);
+			var result = variable.value;
+
+			//emptyfier, like false or null value
+			if (replace !== undefined && !replace) {
+				return '';
+			}
+			//function replacer
+			else if (replace instanceof Function) {
+				var callResult = replace(ident, variable);
+
+				//if call result is something sensible - use it
+				if (callResult != null) {
+					result = callResult;
+				}
+			}
+
+			//if result is false/null/empty string - ignore variable definition
+			if (!(result+'') && result !== 0) return ident;
+
+			return `${ident} = ${result}`;
+		}, this).filter(Boolean);
+
+		var res = Descriptor(comps.join(', '), {
+			type: dataType
+		});
+
+		return res;
+	},
+
+	//i++, --i etc
+	suffix: function (node) {
+		var str = this.process(node.children[0]);
+		return Descriptor(str + node.data, {type: str.type});
+	},
+
+	//loops are the same as in js
+	forloop: function (node) {
+		//initializer variables are visible in the loop only
+		this.enterScope();
+
+		var init = this.process(node.children[0]);
+		var cond = this.process(node.children[1]);
+		var iter = this.process(node.children[2]);
+		var body = this.process(node.children[3]);
+
+		this.exitScope();
+
+		return Descriptor(`for (${init}; ${cond}; ${iter}) {\n${body}\n}`, {
+
+		});
+	},
+
+	whileloop: function (node) {
+		var cond = this.process(node.children[0]);
+		var body = this.process(node.children[1]);
+
+		return Descriptor(`while (${cond}) {\n${body}\n}`, {
+		});
+	},
+
+	operator: function (node) {
+		//access operators - expand to arrays
+		if (node.data === '.') {
+			// a.x or a().x
+			var identNode = node.children[0];
+			var ident = this.process(identNode);
+			var type = ident.type;
+			var prop = node.children[1].data;
+
+			//ab.xyz for example
+			if (/^[xyzwstpqdrgba]{1,4}$/.test(prop)) {
+				return this.unswizzle(node);
+			}
+
+			return Descriptor(`${ident}.${prop}`, {
+				type: type
+			});
+		}
+
+		throw Error('Unknown operator ' + node.data);
+
+		return Descriptor(null);
+	},
+
+	precision: function () {
+		return Descriptor(null);
+	},
+
+	preprocessor: function (node) {
+		return Descriptor('/* ' + node.token.data + ' */');
+	},
+
+	ident: function (node) {
+		//get type of registered var, if possible to find it
+		var variable = this.lookup(node.token.data);
+
+		if (variable) {
+			//shadowing declarations of nested blocks are renamed, see decllist
+			return Descriptor(variable.alias || node.data, {
+				type: variable.type,
+				complexity: 0
+			});
+		}
+
+		//FIXME: guess type more accurately here
+		return Descriptor(node.data, {
+			type: null,
+			complexity: 0
+		});
+	},
+
+	discard:  function () {return Descriptor('discard()')},
+
+	'do-while': function (node) {
+		var exprs = this.process(node.children[0]);
+		var cond = this.process(node.children[1]);
+		return Descriptor(`do {\n${exprs}\n} while (${cond})`, {
+		});
+	},
+
+	binary: function (node) {
+		var result = '';
+
+		var leftNode = node.children[0];
+		var rightNode = node.children[1];
+		var left = this.process(leftNode);
+		var right = this.process(rightNode);
+		var leftType = left.type;
+		var rightType = right.type;
+		var operator = node.data;
+
+		//data access operator
+		if (node.data === '[') {
+			//for case of glsl array access like float[3]
+			if (this.types[node.type]) {
+				return Descriptor(`${leftType}[${right}]`, {
+					type: this.types[leftType].type,
+					complexity: left.complexity + right.complexity + 1
+				});
+			}
+
+			//matrix/etc double access a[1][2]
+			if (leftNode.type === 'binary') {
+				var matNode = leftNode.children[0];
+				var matDesc = this.process(matNode);
+				var vecSize = this.types[leftType].length;
+				var matType = matDesc.type;
+				var matSize = this.types[matType].length;
+				var outerRight = this.process(leftNode.children[1]);
+
+				var idx = parseFloat(outerRight)|0;
+				var offset = parseFloat(right)|0;
+
+				//if number - try to access component
+				if (!isNaN(idx) && !isNaN(offset)) {
+					return Descriptor(matDesc.components[vecSize*idx + offset], {
+						type: 'float',
+						complexity: matDesc.complexity + right.complexity + 1
+					});
+				}
+
+				//if calc - do slice
+				else {
+					return Descriptor(`${matDesc}[${outerRight} * ${vecSize} + ${right}]`, {
+						type: 'float',
+						complexity: matDesc.complexity + outerRight.complexity + right.complexity + 2
+					});
+				}
+			}
+
+			//matrix single access a[0] → vec
+			if (/mat/.test(leftType)) {
+				var size = this.types[leftType].length;
+				var start = this.processOperation(right, Descriptor(size), '*');
+				var end = this.processOperation(start, Descriptor(size), '+');
+				var comps = floatRE.test(start) && floatRE.test(end) ? left.components.slice(start, end) : undefined;
+				var res = Descriptor(`${left}.slice(${start}, ${end})`, {
+					type: this.types[leftType].type,
+					complexity: left.complexity + size,
+					components: comps
+				});
+				res = this.optimizeDescriptor(res);
+				return res;
+			}
+
+			//detect array access
+			//FIXME: double array access here will fail
+			var leftVar = this.variable(left);
+			var type = leftVar && leftVar.dimensions && leftVar.dimensions.length ? leftType : this.types[leftType].type;
+
+			//something[N] return as is
+			return Descriptor(`${left}[${right}]`, {
+				type: type,
+				complexity: left.complexity + right.complexity + 1
+			});
+		}
+
+		//default binary operators a × b
+		return this.processOperation(left, right, operator);
+	},
+
+	assign: function (node) {
+		var result = '';
+		var operator = node.data;
+		var right = this.process(node.children[1]);
+		if (node.children[0].type === 'identifier') {
+			var left = Descriptor(node.children[0].data, {
+				type: right.type,
+				optimize: false,
+				complexity: 0
+			});
+		}
+		else {
+			var left = this.process(node.children[0]);
+		}
+
+		var target = left;
+		var isSwizzle = node.children[0].type === 'operator' && /^[xyzwstpqdrgba]{1,4}$/.test(node.children[0].children[1].data);
+
+		//a *= b.x
+		if (!isSwizzle && this.types[right.type].length == 1 && this.types[target.type].length == 1) {
+			return Descriptor(`${target} ${operator} ${right}`, {
+				type: right.type,
+				complexity: target.complexity + 1 + right.complexity
+			});
+		}
+
+		//FIXME: left can be a structure property set a.prop
+
+		//in cases of setting swizzle - we gotta drop left unswizzle to the right
+		if (isSwizzle) {
+			var positions = this.swizzlePositions(node.children[0].children[1].data);
+			var len = this.types[this.process(node.children[0].children[0]).type].length;
+			var ids = Array(len).fill('null');
+
+			for (var i = 0; i < positions.length; i++) {
+				ids[positions[i]] = i;
+			}
+
+			target = Descriptor(node.children[0].children[0].data, {
+				type: right.type,
+				optimize: false
+			});
+
+			//a.wy *= a.zx →
+			//a = [null, 1, null, 0].map(function (idx, i) {
+			//	return idx == null ? gl_position[i] : this[idx]
+			//}, a.wy * a.zx)
+			if (positions.length > 1) {
+				//*=
+				if (operator.length > 1) {
+					var subOperator = operator.slice(0, -1);
+					right = this.processOperation(this.unswizzle(node.children[0]), right, subOperator);
+					right = this.optimizeDescriptor(right);
+				}
+
+				var comps = Array(len);
+				for (var i = 0; i < len; i++) {
+					comps[i] = Descriptor(`${target}[${i}]`, {
+						type: 'float',
+						complexity: 1
+					});
+				}
+				for (var i = 0; i < positions.length; i++) {
+					comps[positions[i]] = right.components[i];
+				}
+
+				right = Descriptor(
+					`[${ids.join(', ')}].map(function (idx, i) { return idx == null ? ${target}[i] : this[idx]; }, ${right})`, {
+						type: right.type,
+						complexity: len*4 + right.complexity,
+						include: right.include,
+						components: comps
+				});
+				right = this.optimizeDescriptor(right);
+
+				return Descriptor(`${target} = ${right}`, {
+					type: right.type,
+					optimize: false,
+					include: right.include
+				});
+			}
+			//a.x *= b → a[0] *= b
+			else {
+				return Descriptor(`${target}[${positions[0]}] ${operator} ${right}`, {
+					type: right.type,
+					optimize: false
+				});
+			}
+		}
+
+		//`a *= x` → `a = a * x`
+		else if (operator.length > 1) {
+			var subOperator = operator.slice(0, -1);
+			right = this.processOperation(left, right, subOperator);
+			right = this.optimizeDescriptor(right);
+		}
+
+		//simple assign, =
+		return Descriptor(`${target} = ${right}`, {
+			type: right.type,
+			complexity: 1
+		});
+	},
+
+	unary: function (node) {
+		var str = this.process(node.children[0]);
+
+		var complexity = str.complexity + 1;
+
+		//ignore + operator, we dont need to cast data
+		if (node.data === '+') {
+			//++x
+			if (node.children[0].type === 'unary') {
+				return Descriptor(node.data + str, {type: str.type, complexity: complexity});
+			}
+			else if (node.children[0].parent.type === 'unary') {
+				return Descriptor(node.data + str, {type: str.type, complexity: complexity});
+			}
+
+			//+x
+			return Descriptor(str);
+		}
+		return Descriptor(node.data + str, {type: str.type, complexity: complexity});
+	},
+
+	//gl_Position, gl_FragColor, gl_FragPosition etc
+	builtin: function (node) {
+		return Descriptor(node.data, {
+			type: this.builtins[node.data],
+			complexity: 0
+		});
+	},
+
+	call: function (node) {
+		var args = node.children.slice(1);
+		var argValues = args.map(this.process, this);
+		var argTypes = argValues.map(function (arg) {
+			return arg.type;
+		}, this);
+		//if first node is an access, like a.b() - treat special access-call case
+		if (node.children[0].data === '.') {
+			var methodNode = node.children[0].children[1];
+			var holderNode = node.children[0].children[0];
+			var methodName = this.process(methodNode);
+			var holderName = this.process(holderNode);
+			var type = holderName.type;
+
+			//if length call - return length of a vector
+			//vecN.length → N
+			if (methodName == 'length' && this.types[type].length > 1) {
+				return Descriptor(this.types[type].length, {
+					type: 'int',
+					complexity: 0
+				});
+			}
+
+			var callName = Descriptor(`${holderName}.${methodName}`, {
+				type: methodName.type,
+				complexity: holderName.complexity + methodName.complexity
+			});
+		}
+
+		//first node is caller: float(), float[2](), vec4[1][3][4]() etc.
+		else {
+			var callName = this.process(node.children[0]);
+		}
+
+		//if first child of the call is array call - expand array
+		//FIXME: in cases of anonymously created arrays of arrays, outside of declarations, there might be an issue: `vec4[3][3](0,1)`
+		if (node.children[0].data === '[') {
+			var dimensions = [];
+			var keywordNode = node.children[0];
+			while (keywordNode.type != 'keyword') {
+				dimensions.push(parseInt(keywordNode.children[1].data));
+				keywordNode = keywordNode.children[0];
+			}
+
+			//if nested type is primitive - expand literals without wrapping
+			var value = '';
+			if (this.types[callName]) {
+				value += args.map(this.process, this).join(', ');
+			} else {
+				value += callName + '(';
+				value += args.map(this.process, this).join(', ');
+				value += ')';
+			}
+
+			//wrap array init expression
+			return Descriptor(this.wrapDimensions(argValues, dimensions.reverse()), {
+				type: callName.type,
+				complexity: 999
+			});
+		}
+
+		//else treat as function/constructor call
+		else {
+			if (this.debug) {
+				if (callName == 'print') {
+					var args = argValues.map(function (a) {
+						return a+':'+a.type;
+					});
+					console.log.apply(console, args);
+					return Descriptor(null);
+				}
+
+				if (callName == 'show') {
+					console.log.apply(console, argValues.map(function (a) {
+						return a;
+					}));
+					return Descriptor(null);
+				}
+			}
+
+			//struct(), vec2(), float()
+			if (this.types[callName]) {
+				return this.types[callName].apply(this, args);
+			}
+
+			//someFn()
+			else {
+				var type, optimize = true;
+
+				//registered fn(), overload is resolved by argument types as in GLSL output
+				if (this.overloads.hasOwnProperty(callName)) {
+					var overload = this.resolveOverload(callName, argTypes);
+					type = overload.type;
+					callName = Descriptor(this.overloadName(callName + '', overload), {
+						complexity: callName.complexity
+					});
+				}
+
+				//stdlib()
+				else if (this.stdlib[callName]) {
+					this.addInclude(callName);
+
+					//if callname is other than included name - redirect call name
+					if (this.stdlib[callName].name) {
+						callName = this.stdlib[callName].name;
+					}
+
+					//add other includes if any
+					this.addInclude(this.stdlib[callName].include);
+
+					type = this.stdlib[callName].type;
+					if (typeof type === 'function') {
+						type = type.call(this, node);
+					}
+				}
+
+				if (!type) {
+					// Unable to guess the type of '${callName}'
+					// keep type as null, meaning that can be any
+					type = null;
+					optimize = false;
+				}
+				var res = Descriptor(`${callName}(${argValues.join(', ')})`, {
+					type: type || callName.type,
+					complexity: 999 /* argValues.reduce(function (prev, curr) {
+						return curr.complexity+prev;
+					}, callName.complexity||999) */,
+					optimize: optimize
+				});
+
+				return res;
+			}
+		}
+	},
+
+	literal: function (node) {
+		//unsigned literals are plain numbers, like 3u → 3
+		if (/^[0-9].*u$/i.test(node.data)) {
+			return Descriptor(Number(node.data.slice(0, -1)), {type: 'uint', complexity: 0});
+		}
+
+		//convert 023 → 0o23
+		if (/^0[0-9]+/.test(node.data)) {
+			node.data = '0o' + node.data.slice(1);
+		}
+
+		//if special format - parse it as int, else - return unchanged
+		var result = /^[0-9][xob]/.test(node.data) ? Number(node.data) : node.data;
+
+		//guess type - as far in js any number tends to be a float, give priority to it
+		//in order to avoid unnecessary types alignment
+		var type;
+		if (/true|false/i.test(node.data)) type = 'bool';
+		else if (/^[0-9]+$/.test(node.data) > 0) type = 'int';
+		else if (floatRE.test(node.data)) type = 'float';
+		return Descriptor(result, {type: type, complexity: 0});
+	},
+
+	//ifs are the same as js
+	if: function (node) {
+		var cond = this.process(node.children[0]);
+		var ifBody = this.process(node.children[1]);
+
+		var result = `if (${cond}) {\n${ifBody}\n}`;
+
+		if (node.children.length > 1) {
+			var elseBody = this.process(node.children[2]);
+			if (elseBody.visible) result += ` else {\n${elseBody}\n}`;
+		}
+
+		return Descriptor(result, {
+			type: 'float'
+		});
+	},
+
+	//grouped expression like a = (a - 1)
+	group: function (node) {
+		//children are like (1, 2, 3) - does not make a big sense
+		//the last one is always taken as a result
+		var children = node.children.map(this.process, this);
+
+		var result = '(' + children.join(', ') + ')';
+
+		var last = children[children.length - 1];
+
+		//each component therefore should be wrapped to group as well
+		//FIXME: single-multiplocation ops like (x*34.) + 1. are possible to be unwrapped, providing that they are of the most precedence.
+		if (last.components) {
+			last.components = last.components.map(function (comp) {
+				//if component contains no operations (we not smartly guess that each op adds to complexity) - keep component as is.
+				if (comp.complexity === 1) return comp;
+
+				//otherwise wrap it, as it may contain precedences etc.
+				return Descriptor('(' + comp + ')', comp);
+			});
+		}
+
+		return Descriptor(result, {
+			type: last.type,
+			components: last.components,
+			complexity: children.reduce(function (prev, curr) {return prev+curr.complexity||0}, 0)
+		});
+	},
+
+	//switch is the same as in js
+	switch: function (node) {
+		var cond = this.process(node.children[0]);
+		var body = this.process(node.children[1]);
+
+		return Descriptor(`switch (${cond}) {\n${body}\n}`);
+	}
+};
+
+
+/**
+ * Name of function overload in js: the first declared one keeps the plain name, as in former js output,
+ * others are named after argument types, like `f_float_float`
+ */
+exports.overloadName = function (name, overload) {
+	var overloads = this.overloads[name];
+	return overloads[Object.keys(overloads)[0]] === overload ? name : overload.name;
+};
+
+
+/**
+ * Return list if ids for swizzle letters, `d` is taken for `q` as in former js output
+ */
+exports.swizzlePositions = function (prop) {
+	return this.constructor.prototype.swizzlePositions.call(this, prop.replace(/d/g, 'q'));
+};
+
+
+/**
+ * Transform access node to a swizzle construct
+ * ab.xyz → [ab[0], ab[1], ab[2]]
+ */
+exports.unswizzle = function (node) {
+	var identNode = node.children[0];
+
+	var ident = this.process(identNode);
+	var type = ident.type;
+	var prop = node.children[1].data;
+	var positions = this.swizzlePositions(prop);
+
+	var args = positions.map(function (position) {
+		//[0, 1].yx → [1, 0]
+		// a.yx → [a[1], a[0]]
+		return ident.components && ident.components[position] || position;
+	});
+
+	//a.x → a[0]
+	if (args.length === 1) {
+		var result;
+		// unknown identifiers or calls often have undefined components
+		// a.z → a[2]
+		if (typeof args[0] === 'number') {
+			result = Descriptor(`${ident}[${args[0]}]`, {type: null, complexity: 999});
+		}
+		else {
+			if (args[0] == null) this.warn(`Cannot unswizzle '${ident.type}(${ident}).${prop}': ${prop} is outside the type range.`);
+			result = Descriptor(args[0] || `undefined`, {
+				type: 'float',
+				complexity: 1
+			});
+		}
+		return result;
+	}
+
+	//vec2 a.xy → a
+	if (type && args.length === this.types[type].length && positions.every(function (position, i) { return position === i})) {
+		return ident;
+	}
+
+	var complexity = args.length * ident.complexity;
+
+	//a.yz → [1, 2].map(function(x) { return this[x]; }, a)
+	var result = Descriptor(`[${positions.join(', ')}].map(function (x, i) { return this[x]}, ${ident})`, {
+		complexity: ident.components ? args.length*2 : 999,
+		type: `vec${args.length}`,
+		components: ident.components && args
+	});
+
+	result = this.optimizeDescriptor(result);
+
+	return result;
+};
+
+
+/**
+ * Default value of declared variable, like `[0, 0, 0]` for `vec3 a;`
+ */
+exports.initValue = function (variable) {
+	var value;
+
+	if (this.types[variable.type]) {
+		//for sampler types pass name as arg
+		if (/sampler|image/.test(variable.type)) {
+			value = this.types[variable.type].call(this, variable.id);
+		}
+		else {
+			value = this.types[variable.type].call(this);
+		}
+	}
+
+	//some unknown types
+	else {
+		value = variable.type + `()`;
+	}
+
+	value = this.optimizeDescriptor(value);
+
+	return this.wrapDimensions(value, variable.dimensions);
+};
+
+
+/**
+ * Name for a declaration shadowing variable of an outer block, like `x_1`, as js `var` is function-scoped.
+ * Variables of function scope and globals keep their names.
+ */
+function shadowAlias (id) {
+	var scope = this.scopes[this.currentScope];
+	var shadows = false, names = {};
+	for (; scope; scope = scope.__parentScope) {
+		for (var name in scope) {
+			if (name.slice(0, 2) !== '__') names[scope[name].alias || name] = true;
+		}
+		if (scope !== this.scopes[this.currentScope] && scope.__parentScope && scope.hasOwnProperty(id)) shadows = true;
+	}
+	if (!shadows) return null;
+
+	var n = 1;
+	while (names[`${id}_${n}`]) n++;
+	return `${id}_${n}`;
+}
+
+
+/**
+ * Return rendered operation
+ */
+exports.processOperation = function processOperation (left, right, operator) {
+	var leftType = left.type;
+	var rightType = right.type;
+	var operatorName = this.operators[operator];
+
+	//1. scalar vs scalar
+	if (this.types[leftType].length == 1 && this.types[rightType].length == 1) {
+		var a = left, b = right;
+
+		var res = Descriptor(calculate(a, b, operator), {
+			components: [calculate(a, b, operator)],
+			type: leftType,
+			complexity: a.complexity + b.complexity + (opComplexity[operator] || 1)
+		});
+		return res;
+	}
+
+	//2. scalar vs vec/mat → apply scalar to each component
+	if (this.types[leftType].length == 1 || this.types[rightType].length == 1) {
+		var outType = this.types[leftType].length == 1 ? rightType : leftType;
+		var vec = this.types[leftType].length == 1 ? right : left;
+		var scalar = this.types[leftType].length == 1 ? left : right;
+		var l = this.types[outType].length;
+		if (/mat/.test(outType)) l *= this.types[this.types[outType].type].length;
+		var operands = [];
+		for (var i = 0; i < l; i++) {
+			if (this.types[rightType].length == 1) {
+				var rightOp = right, leftOp = left.components[i];
+			}
+			else {
+				var rightOp = right.components[i], leftOp = left;
+			}
+			operands.push(calculate(leftOp, rightOp, operator));
+		}
+
+		if (scalar.optimize) {
+			var calcStr = this.types[rightType].length == 1 ? calculate('_', scalar, operator) :  calculate(scalar, '_', operator);
+			return Descriptor(
+				`${vec}.map(function (_) {return ${calcStr};})`, {
+				components: operands,
+				type: outType,
+				complexity: vec.complexity + l * (scalar.complexity + 2) + 1
+			});
+		}
+		else {
+			var calcStr = this.types[rightType].length == 1 ? calculate('_', 'this', operator) :  calculate('this', '_', operator);
+			return Descriptor(
+				`${vec}.map(function (_) {return ${calcStr};}, ${scalar})`, {
+				components: operands,
+				type: outType,
+				complexity: vec.complexity + l * (scalar.complexity + 2) + 1
+			});
+		}
+	}
+
+	//3. vecN vs vecN → component-wise
+	if (/vec/.test(leftType) && /vec/.test(rightType)) {
+		var outType = this.types[leftType].length == 1 ? rightType : leftType;
+		var l = this.types[outType].length;
+		var operands = [];
+		for (var i = 0; i < l; i++) {
+			var leftOp = left.components[i], rightOp = right.components[i];
+			operands.push(calculate(leftOp, rightOp, operator));
+		}
+
+		var include = {};
+		include[leftType] = operatorName;
+		var res = Descriptor(
+			`${leftType}.${operatorName}([], ${left}, ${right})`, {
+			components: operands,
+			type: outType,
+			complexity: left.complexity + right.complexity + l*3 + 1,
+			include: include
+		});
+		return res;
+	}
+
+	//4. matN +-/ matN → component-wise
+	if (/mat/.test(leftType) && /mat/.test(rightType) && operator !== '*') {
+		var outType = this.types[leftType].length == 1 ? rightType : leftType;
+		var l = this.types[outType].length * this.types[this.types[outType].type].length;
+		var operands = [];
+		for (var i = 0; i < l; i++) {
+			var leftOp = left.components[i], rightOp = right.components[i];
+			operands.push(calculate(leftOp, rightOp, operator));
+		}
+
+		var res = Descriptor(
+			`${left}.map(function (x, i, m){ return x ${operator} this[i];}, ${right})`, {
+			components: operands,
+			complexity: left.complexity + right.complexity + l*3,
+			type: outType
+		});
+		return res;
+	}
+
+	//5. matNxM * matNxM/vecM → matNxM linear multiplication
+	if ((/mat/.test(leftType) || /mat/.test(rightType)) && operator === '*') {
+		//products of non-square matrices are not implemented
+		if (/mat([234])x(?!\1)/.test(`${leftType} ${rightType}`)) {
+			throw Error(`Impossible to render ${leftType} ${operator} ${rightType}.`);
+		}
+
+		//vec * mat
+		if (/vec/.test(leftType)) {
+			var outType = leftType;
+			var l = this.types[outType].length;
+			var operands = [];
+			var leftOp = left;
+			var dotComponents = [];
+			for (var i = 0; i < l; i++) {
+				var start = l * i;
+				var end = l * i + l;
+				var rightOp = Descriptor(`${right}.slice(${start}, ${end})`, {
+					type: this.types[leftType].type,
+					complexity: right.complexity + l,
+					components: right.components.slice(start, end)
+				});
+				rightOp = this.optimizeDescriptor(rightOp);
+
+				operands.push(`dot(${leftOp}, ${rightOp})`);
+				dotComponents.push(calculate(`this[${calculate('o', i, '+')}]`, `v[${i}]`, '*'));
+			}
+			this.addInclude('dot');
+			var res = Descriptor(
+				`${leftOp}.map(function (x, i, v) { var o = i * ${l}; return ${dotComponents.join(' + ')};}, ${right})`, {
+				components: operands,
+				complexity: left.complexity + right.complexity + l*(l + 3),
+				type: outType
+			});
+			return res;
+		}
+
+		//mat * vec
+		if (/vec/.test(rightType)) {
+			var outType = rightType;
+
+			var vec = right;
+			var mat = left;
+			var l = this.types[outType].length;
+
+			var comps = [];
+			for (var i = 0; i < l; i++) {
+				var sum = [];
+				for (var j = 0; j < l; j++) {
+					var mc = mat.components[j*l + i];
+					var vc = vec.components[j];
+					sum.push(calculate(mc, vc, '*'));
+				}
+				comps.push(sum.join(' + '));
+			}
+
+			var res = Descriptor(
+				`${vec}.map(function (x, i, v) { var sum = 0; for (var j = 0; j < ${l}; j++) {sum += ${calculate('this[j*' + l + '+i]', 'v[j]' ,'*')}} return sum; }, ${mat})`,
+				{
+					components: comps,
+					type: outType,
+					complexity: vec.complexity + mat.complexity + l*l*3
+			});
+			return res;
+		}
+
+		//mat * mat
+		var outType = leftType;
+
+		var l = left;
+		var r = right;
+		var len = this.types[this.types[outType].type].length;
+
+		var comps = [];
+
+		for (var i = 0; i < len; i++) {
+			for (var j = 0; j < len; j++) {
+				var sum = [];
+				for (var o = 0; o < len; o++) {
+					var mc = left.components[len*o + i],
+						nc = right.components[j*len + o];
+					sum.push(calculate(mc, nc, '*'));
+				}
+
+				// calculate sum component
+				var sumComp = sum.shift();
+				while (sum.length) {
+					sumComp = calculate(sumComp, sum.shift(), '+');
+				}
+
+				comps[j*len + i] = sumComp;
+			}
+		}
+
+		var res = Descriptor(
+			`matrixMult(${l}, ${r})`, {
+			components: comps,
+			type: outType,
+			include: 'matrixMult'
+		});
+		return res;
+	}
+
+	throw Error(`Impossible to render ${leftType} ${operator} ${rightType}.`);
+
+
+	/**
+	 * Try to evaluate operation
+	 *
+	 * @param {string} left Left operand, stringified js value
+	 * @param {string} right Right operand, stringified js value
+	 * @param {string} operator operator to eval
+	 *
+	 * @return {string} shorten pre-evaled operator
+	 */
+	function calculate (left, right, operator) {
+		var opResult = undefined;
+
+		//float ∀ float case
+		if (floatRE.test(left) && floatRE.test(right)) {
+			opResult = eval(`${left} ${operator} ${right}`);
+		}
+
+		//handle ridiculous math cases like x + 0, x * 0, x + 1
+		if (operator == '+' || operator == '-') {
+			//0 + x
+			if (left == 0) opResult = right;
+
+			//x + 0
+			if (right == 0) opResult = left;
+		}
+		else if (operator == '*') {
+			//0 * x
+			if (left == 0 || right == 0) opResult = 0;
+
+			//1 * x
+			else if (parseFloat(left) === 1) opResult = right;
+
+			//x * 1
+			else if (parseFloat(right) === 1) opResult = left;
+		}
+
+		if (opResult == null) {
+			opResult = '';
+
+			// embrace complex operators
+			if (operator != '+' && operator != '-') {
+				if (/\s/.test(left) && !(left[0] == '(' && left[left.length - 1] == ')')) opResult += '(' + left + ')';
+				else opResult += left;
+			}
+			else opResult += left;
+
+			opResult += ' ' + operator + ' ';
+
+			if (operator != '+' && operator != '-') {
+				if (/\s/.test(right) && !(right[0] == '(' && right[right.length - 1] == ')')) opResult += '(' + right + ')';
+				else opResult += right;
+			}
+			else opResult += right;
+		}
+
+		opResult = Descriptor(opResult, {
+			complexity: 1 + left.complexity||0 + right.complexity||0,
+			optimize: left.optimize !== false && right.optimize !== false
+		});
+
+		return opResult;
+	}
+};
+
+
+/**
+ * Put together the processed tree with stdlib it uses
+ */
+exports.stringify = function (result) {
+	return this.stringifyStdlib(this.includes) + '\n' + result;
+};
@@ -38,24 +38,188 @@ var opsRE = /\*|\+|\-|\/|\%|\<|\=|\>|\&|\||\!|\^|\~/;
 
 
 /**
- * Return rendered operation
+ * Relational functions of vector comparisons
+ */
+var relations = processOperation.relations = {
+	'==': 'equal',
+	'!=': 'notEqual',
+	'<': 'lessThan',
+	'>': 'greaterThan',
+	'<=': 'lessThanEqual',
+	'>=': 'greaterThanEqual'
+};
+
+
+/**
+ * Fixed-point helpers the arithmetic operators are rendered to, see ./prelude
+ */
+var helpers = processOperation.helpers = {
+	'*': 'my_multiple',
+	'+': 'my_add',
+	'-': 'my_subtract',
+	'/': 'my_divide'
+};
+
+
+/**
+ * Return rendered operation, lowered by the operand types
  */
 function processOperation (left, right, operator) {
 	var self = this;
+	var operatorName = operators[operator];
+	var helper = helpers[operator];
+
+	//a[i] → array item, vector component or matrix column
+	if (operator === '[') {
+		if (left.dimensions && left.dimensions.length) {
+			return Descriptor(`${left}[${right}]`, {
+				type: left.type,
+				dimensions: left.dimensions.slice(1)
+			});
+		}
+		//matrices are structs of columns, column fields are indexed by helper
+		if (/mat/.test(left.type) && this.isFixed(left.type)) {
+			if (/^[0-9]+$/.test(right) || this.columnArrays()) {
+				return Descriptor(this.matrixColumn(left, right), {
+					type: elementType(left.type)
+				});
+			}
+			var mat = this.convertType(left.type);
+			this.addHelper('my_column', `${mat}_int`);
+			return Descriptor(`my_column_${mat}_int(${left}, ${right})`, {
+				type: elementType(left.type)
+			});
+		}
+		return Descriptor(`${left}[${right}]`, {
+			type: elementType(left.type)
+		});
+	}
+
+	//int operands of fixed-point operations get to the same scale, like x < 1 → x < 65536
+	if (helper || relations[operator]) {
+		if (this.isFixed(left.type) && isInteger(right.type)) right = scale.call(this, right);
+		if (this.isFixed(right.type) && isInteger(left.type)) left = scale.call(this, left);
+	}
+
 	var leftType = left.type;
 	var rightType = right.type;
-	var operatorName = operators[operator];
-  switch (operator) {
-    case '*':
-      return Descriptor(`my_multiple( ${left}, ${right} )`,{});
-    case '+':
-      return Descriptor(`my_add( ${left}, ${right} )`,{});
-    case '-':
-      return Descriptor(`my_subtract( ${left}, ${right} )`,{});
-    case '/':
-      return Descriptor(`my_divide( ${left}, ${right} )`,{});
-  }
-  return Descriptor(`${left} ${operator} ${right}`);
+
+	//fixed-point operands go through the overload for the converted types, like my_add_ivec3_int
+	if (helper && (this.isFixed(leftType) || this.isFixed(rightType))) {
+		var signature = [leftType, rightType].map(function (type) {
+			return self.varchanges[type] || type;
+		}).join('_');
+		this.addHelper(helper, signature);
+
+		return Descriptor(`${helper}_${signature}( ${left}, ${right} )`, {
+			type: resultType(leftType, rightType)
+		});
+	}
+
+	//integer arithmetic, like indexes or loop counters, stays native
+	if (helper) {
+		return Descriptor(`${left} ${operator} ${right}`, {
+			type: resultType(leftType, rightType)
+		});
+	}
+
+	//vector comparisons → componentwise relational functions
+	if (relations[operator] && (/vec/.test(leftType) || /vec/.test(rightType))) {
+		var leftSize = size(leftType), rightSize = size(rightType);
+
+		if (leftSize !== rightSize) {
+			//broadcast scalar, like v == 0.0 → all(equal(v, ivec2(0)))
+			if (leftSize === 1) left = Descriptor(`${this.convertType(rightType)}(${left})`, {type: rightType});
+			else if (rightSize === 1) right = Descriptor(`${this.convertType(leftType)}(${right})`, {type: leftType});
+
+			//compare common components of different vectors
+			else {
+				this.warn(`Cannot compare ${leftType} with ${rightType}, only first components are compared.`);
+				if (leftSize > rightSize) left = Descriptor(`${left}.${'xyzw'.slice(0, rightSize)}`, {type: rightType});
+				else right = Descriptor(`${right}.${'xyzw'.slice(0, leftSize)}`, {type: leftType});
+			}
+		}
+
+		return Descriptor(`${operator === '!=' ? 'any' : 'all'}(${relations[operator]}(${left}, ${right}))`, {
+			type: 'bool'
+		});
+	}
+
+	return Descriptor(`${left} ${operator} ${right}`, {
+		type: /^([<>]=?|[=!]=|&&|\|\||\^\^)$/.test(operator) ? 'bool' : leftType
+	});
+}
+
+
+/**
+ * Scale int operand to the fixed-point, literals are converted in place
+ */
+processOperation.scale = scale;
+function scale (value) {
+	var type = value.type === 'int' ? 'float' : value.type.slice(1);
+
+	if (/^-?[0-9]+$/.test(value)) {
+		return Descriptor(this.toFixed(Number(value)), {type: type, complexity: 0});
+	}
+
+	return Descriptor(`${/^\w+$/.test(value) ? value : `(${value})`} * FIXED_SCALE`, {type: type});
+}
+
+
+/**
+ * Whether the type is genuine int, not converted
+ */
+function isInteger (type) {
+	return /^(int|ivec[234])$/.test(type);
+}
+
+
+//number of components of the type
+function size (type) {
+	var match = /vec([234])$/.exec(type);
+	return match ? Number(match[1]) : 1;
+}
+
+
+/**
+ * Whether the type is converted to fixed-point
+ */
+processOperation.isFixed = isFixed;
+function isFixed (type) {
+	return /^(float|vec[234]|mat[234](x[234])?)$/.test(type);
+}
+
+
+/**
+ * Get type of arithmetic operation result
+ */
+function resultType (leftType, rightType) {
+	//matCxR * vecC → vecR, vecR * matCxR → vecC, matCxR * matKxC → matKxR
+	var left = /^mat([234])(?:x([234]))?$/.exec(leftType);
+	var right = /^mat([234])(?:x([234]))?$/.exec(rightType);
+	if (left && /vec/.test(rightType)) return 'vec' + (left[2] || left[1]);
+	if (right && /vec/.test(leftType)) return 'vec' + right[1];
+	if (left && right && (left[2] || right[2])) return `mat${right[1]}x${left[2] || left[1]}`;
+
+	//scalar * vec → vec
+	if (/vec|mat/.test(rightType) && !/vec|mat/.test(leftType)) return rightType;
+
+	return leftType;
+}
+
+
+/**
+ * Get type of indexed element: vec3 → float, ivec2 → int, mat4 → vec4
+ */
+function elementType (type) {
+	var match = /^(b|i)?vec[234]$/.exec(type);
+	if (match) return {b: 'bool', i: 'int'}[match[1]] || 'float';
+
+	match = /^mat([234])(?:x([234]))?$/.exec(type);
+	if (match) return 'vec' + (match[2] || match[1]);
+
+	//array items keep the type
+	return type;
 }
 
 
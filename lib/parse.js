@@ -1,27 +1,174 @@
 /**
  * A wrapper for glsl-parser
  *
+ * glsl-parser knows GLSL ES 1.00 only, so GLSL ES 3.00 constructs are lowered on tokens
+ * to the ones it takes, and restored in the tree after parsing:
+ * global `in`/`out` are parsed as `attribute`/`varying`, `layout(...)` and interpolation
+ * qualifiers are kept on the storage token as `token.layout` and `token.qualifiers`,
+ * `switch` is parsed as `while`, `case x:` and `default:` as statements.
+ *
  * @module  glsl-js/lib/parse
  */
 
 var glslParse = require('glsl-parser/direct');
 var tokenize = require('glsl-tokenizer/string');
 
-function parse(arg) {
+var interpolations = ['flat', 'smooth', 'centroid'];
+
+/**
+ * @param {string|Array|object} arg Source, tokens or ready tree
+ * @param {object} options Tokenizer options, like `{version: '300 es'}`
+ */
+function parse(arg, options) {
 	//ready AST
 	if (typeof arg === 'object' && arg.children) return arg;
 
 	//convert string to tokens
 	if (typeof arg === 'string') {
-		arg = tokenize(arg);
+		arg = tokenize(arg, options || {});
 	}
 
 	//convert tokens to ast
 	if (Array.isArray(arg)) {
-		arg = glslParse(arg)
+		arg = restore(glslParse(lower(arg)));
 	}
 
 	return arg;
 }
 
+
+/**
+ * Rewrite GLSL ES 3.00 tokens to GLSL ES 1.00 ones glsl-parser takes
+ */
+function lower(tokens) {
+	var result = [];
+	var depth = 0;
+	var qualifiers = [];
+	var layout = null;
+
+	for (var i = 0; i < tokens.length; i++) {
+		var token = tokens[i];
+
+		if (token.data === '{' || token.data === '(') depth++;
+		if (token.data === '}' || token.data === ')') depth--;
+
+		//unsigned literals are split by tokenizer, like 3u → 3, u
+		if (token.type === 'integer' && tokens[i + 1] && /^u$/i.test(tokens[i + 1].data)) {
+			token.data += tokens[++i].data;
+		}
+
+		//layout(location = 0), flat etc. go with the storage qualifier
+		if (!depth && token.data === 'layout' && next(tokens, i).data === '(') {
+			layout = token.data;
+			while (tokens[++i] && tokens[i].data !== ')') layout += tokens[i].data;
+			layout = layout.replace(/\s+/g, ' ') + ')';
+			continue;
+		}
+		if (!depth && interpolations.indexOf(token.data) >= 0 && /^(in|out|centroid)$/.test(next(tokens, i).data)) {
+			qualifiers.push(token.data);
+			continue;
+		}
+
+		//global in/out are attributes and varyings for the parser
+		if (!depth && (token.data === 'in' || token.data === 'out')) {
+			token.storage = token.data;
+			token.data = token.data === 'in' ? 'attribute' : 'varying';
+		}
+		if ((layout || qualifiers.length) && token.type !== 'whitespace') {
+			token.layout = layout;
+			token.qualifiers = qualifiers.join(' ');
+			layout = null;
+			qualifiers = [];
+		}
+
+		//switch (x) {...} → while (x) {...}
+		if (token.type === 'keyword' && token.data === 'switch') {
+			token.switch = true;
+			token.data = 'while';
+		}
+
+		//case x: → case(x); default: → default;
+		if (token.type === 'keyword' && (token.data === 'case' || token.data === 'default')) {
+			token.type = 'ident';
+			token.label = token.data;
+			result.push(token);
+
+			var label = [];
+			while (tokens[++i] && tokens[i].data[0] !== ':') label.push(tokens[i]);
+
+			if (token.label === 'case') {
+				result.push(operator('(', token));
+				result = result.concat(label);
+				result.push(operator(')', token));
+			}
+			result.push(operator(';', token));
+
+			//tokenizer may glue the colon to the next operator, like `:}`
+			if (tokens[i] && tokens[i].data.length > 1) {
+				i--;
+				tokens[i + 1] = operator(tokens[i + 1].data.slice(1), tokens[i + 1]);
+			}
+			continue;
+		}
+
+		result.push(token);
+	}
+
+	return result;
+}
+
+
+/**
+ * Get back GLSL ES 3.00 nodes from the lowered ones
+ */
+function restore(node) {
+	var token = node.token || {};
+
+	if (token.storage) {
+		token.data = node.data = token.storage;
+	}
+
+	if (node.type === 'whileloop' && token.switch) {
+		token.data = 'switch';
+		node.type = 'switch';
+	}
+
+	//stmt > expr > call > ident `case` → case node with the label expression
+	if (node.type === 'stmt' && node.children[0] && node.children[0].type === 'expr') {
+		var expr = node.children[0].children[0];
+		var callee = expr && expr.type === 'call' ? expr.children[0] : expr;
+
+		if (callee && callee.token && callee.token.label) {
+			node.type = callee.token.label;
+			node.children = expr.type === 'call' ? expr.children.slice(1) : [];
+			node.children.forEach(function (child) {
+				child.parent = node;
+			});
+		}
+	}
+
+	(node.children || []).forEach(restore);
+
+	return node;
+}
+
+
+//get the next token other than whitespace
+function next(tokens, i) {
+	while (tokens[++i] && tokens[i].type === 'whitespace');
+	return tokens[i] || {};
+}
+
+
+//create operator token in place of another one
+function operator(data, token) {
+	return {
+		type: 'operator',
+		data: data,
+		position: token.position,
+		line: token.line,
+		column: token.column
+	};
+}
+
 module.exports = parse;
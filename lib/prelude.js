@@ -0,0 +1,1286 @@
+/**
+ * GLSL sources of fixed-point arithmetic helpers, the `my_*` calls refer to.
+ *
+ * Each helper is a map of operand signatures to the overload source, like `my_add.ivec3_int`,
+ * so that only overloads used by the shader get into the output. Overloads are named after
+ * the signature, like `my_add_ivec3_int`, so that drivers never resolve ambiguous overloads.
+ *
+ * Overloads are functions called in the context of compiler, as sources depend on its
+ * `fixedPoint` format and `overflow` mode. Overload `include` method lists other overloads
+ * the source calls, like `['my_add.int_int']`.
+ *
+ * @module  glsl-js/lib/prelude
+ */
+
+var helpers = require('./operators').helpers;
+
+
+//max value of 32-bit signed int, saturated results are clamped to ±INT_MAX
+var INT_MAX = 2147483647;
+
+
+//wrapping operations, results of multiplication and division get back to the fixed-point scale
+var bodies = {
+	'*': 'a * b / FIXED_SCALE',
+	'+': 'a + b',
+	'-': 'a - b',
+	'/': 'a * FIXED_SCALE / b'
+};
+
+
+var vectors = ['ivec2', 'ivec3', 'ivec4'];
+var matrices = ['imat2', 'imat3', 'imat4'];
+var swizzles = 'xyzw';
+var prefixes = {int: 'i', uint: 'u', bool: 'b'};
+var params = 'abcdefghijklmnop';
+
+
+for (var operator in helpers) {
+	exports[helpers[operator]] = createHelper(helpers[operator], operator);
+}
+
+
+//overflow-safe scalar operations, regardless of the overflow mode
+exports.my_split_multiple = {
+	int_int: createOverload('my_split_multiple', ['int', 'int'], 'int', function () {
+		return {body: multiplyBody.call(this, false)};
+	})
+};
+
+exports.my_split_divide = {
+	int_int: createOverload('my_split_divide', ['int', 'int'], 'int', function () {
+		return {body: divideBody.call(this)};
+	})
+};
+
+//portable division of wrapping operations with the `rounding` mode, native one of negatives is not defined in GLSL ES 1.00
+exports.my_signed_divide = {
+	int_int: createOverload('my_signed_divide', ['int', 'int'], 'int', function () {
+		return {body: signedDivideBody.call(this)};
+	})
+};
+
+
+/**
+ * Type conversions of constructors, named after the target type and the converted source one:
+ * `float(i)` → my_float_int scales int up, `ivec3(v)` → my_int_ivec3 takes integer part of fixed-point.
+ */
+exports.my_float = createCast('my_float', ['int', 'uint', 'bool'], 'int', function (type, out) {
+	return {body: `return ${type === out ? 'a' : `${out}(a)`} * FIXED_SCALE;`};
+});
+
+exports.my_int = createCast('my_int', ['int'], 'int', function (type) {
+	if (type === 'int') return {body: [
+		`//integer division rounding of negatives is not defined, so divide the magnitude`,
+		`return a < 0 ? -(-a / FIXED_SCALE) : a / FIXED_SCALE;`
+	].join('\n')};
+
+	return {
+		body: `return ${type}(${range(parseInt(type.slice(-1))).map(function (i) {
+			return `my_int_int(a.${swizzles[i]})`;
+		}).join(', ')});`,
+		include: ['my_int.int']
+	};
+});
+
+exports.my_uint = createCast('my_uint', ['int'], 'uint', function (type, out) {
+	return {body: `return ${out}(my_int_${type}(a));`, include: [`my_int.${type}`]};
+});
+
+
+/**
+ * Builtin functions, calls are redirected to them via callchanges.
+ * Numerical kernels (CORDIC, sqrt, exp, log) use split operations not to overflow in between,
+ * geometric functions are built on the `my_*` arithmetic and follow the overflow mode.
+ */
+
+//angle and trigonometry functions
+exports.my_radians = createBuiltin('my_radians', [['v']], function () {
+	return scaleBody.call(this, Math.PI / 180);
+});
+
+exports.my_degrees = createBuiltin('my_degrees', [['v']], function () {
+	return scaleBody.call(this, 180 / Math.PI);
+});
+
+//cosine and sine of the angle as a vector
+exports.my_cordic = {
+	int: createOverload('my_cordic', ['int'], 'ivec2', function () {
+		return {body: rotateBody.call(this)};
+	})
+};
+
+exports.my_sin = createBuiltin('my_sin', [['v']], function () {
+	return {body: `return my_cordic_int(a).y;`, include: ['my_cordic.int']};
+});
+
+exports.my_cos = createBuiltin('my_cos', [['v']], function () {
+	return {body: `return my_cordic_int(a).x;`, include: ['my_cordic.int']};
+});
+
+exports.my_tan = createBuiltin('my_tan', [['v']], function () {
+	return {
+		body: `ivec2 r = my_cordic_int(a);\nreturn my_split_divide_int_int(r.y, r.x);`,
+		include: ['my_cordic.int', 'my_split_divide.int_int']
+	};
+});
+
+exports.my_asin = createBuiltin('my_asin', [['v']], function () {
+	return {
+		body: `return my_atan_int_int(a, my_sqrt_int(my_split_multiple_int_int(FIXED_SCALE - a, FIXED_SCALE + a)));`,
+		include: ['my_split_multiple.int_int', 'my_sqrt.int', 'my_atan.int_int']
+	};
+});
+
+exports.my_acos = createBuiltin('my_acos', [['v']], function () {
+	return {
+		body: `return my_atan_int_int(my_sqrt_int(my_split_multiple_int_int(FIXED_SCALE - a, FIXED_SCALE + a)), a);`,
+		include: ['my_split_multiple.int_int', 'my_sqrt.int', 'my_atan.int_int']
+	};
+});
+
+//atan(y_over_x) and atan(y, x)
+exports.my_atan = createBuiltin('my_atan', [['v'], ['v', 'v']], function (args) {
+	if (args.length === 1) {
+		return {body: `return my_atan_int_int(a, FIXED_SCALE);`, include: ['my_atan.int_int']};
+	}
+	return {body: vectorBody.call(this)};
+});
+
+
+//exponential functions
+exports.my_pow = createBuiltin('my_pow', [['v', 'v']], function () {
+	return {
+		body: `if (a <= 0) return 0;\nreturn my_exp2_int(my_split_multiple_int_int(b, my_log2_int(a)));`,
+		include: ['my_split_multiple.int_int', 'my_log2.int', 'my_exp2.int']
+	};
+});
+
+exports.my_exp = createBuiltin('my_exp', [['v']], function () {
+	return {
+		body: `return my_exp2_int(my_split_multiple_int_int(a, ${fixed.call(this, Math.LOG2E)}));`,
+		include: ['my_split_multiple.int_int', 'my_exp2.int']
+	};
+});
+
+exports.my_log = createBuiltin('my_log', [['v']], function () {
+	return {
+		body: `return my_split_multiple_int_int(my_log2_int(a), ${fixed.call(this, Math.LN2)});`,
+		include: ['my_split_multiple.int_int', 'my_log2.int']
+	};
+});
+
+exports.my_exp2 = createBuiltin('my_exp2', [['v']], function () {
+	return {body: exp2Body.call(this), include: ['my_split_multiple.int_int']};
+});
+
+exports.my_log2 = createBuiltin('my_log2', [['v']], function () {
+	return {body: log2Body.call(this), include: ['my_split_multiple.int_int']};
+});
+
+exports.my_sqrt = createBuiltin('my_sqrt', [['v']], function () {
+	return {body: sqrtBody.call(this), include: ['my_split_divide.int_int']};
+});
+
+exports.my_inversesqrt = createBuiltin('my_inversesqrt', [['v']], function () {
+	return {
+		body: `return my_split_divide_int_int(FIXED_SCALE, my_sqrt_int(a));`,
+		include: ['my_split_divide.int_int', 'my_sqrt.int']
+	};
+});
+
+
+//common functions
+exports.my_abs = createBuiltin('my_abs', [['v']], function () {
+	return {body: `return a < 0 ? -a : a;`};
+});
+
+exports.my_sign = createBuiltin('my_sign', [['v']], function () {
+	return {body: `return a > 0 ? FIXED_SCALE : a < 0 ? -FIXED_SCALE : 0;`};
+});
+
+exports.my_floor = createBuiltin('my_floor', [['v']], function () {
+	return {body: [
+		`//integer division rounding of negatives is not defined, so divide the magnitude`,
+		`return a >= 0 ? a / FIXED_SCALE * FIXED_SCALE : -((-a - 1) / FIXED_SCALE + 1) * FIXED_SCALE;`
+	].join('\n')};
+});
+
+exports.my_ceil = createBuiltin('my_ceil', [['v']], function () {
+	return {body: `return -my_floor_int(-a);`, include: ['my_floor.int']};
+});
+
+exports.my_fract = createBuiltin('my_fract', [['v']], function () {
+	return {body: `return a - my_floor_int(a);`, include: ['my_floor.int']};
+});
+
+exports.my_mod = createBuiltin('my_mod', [['v', 'v'], ['v', 's']], function () {
+	return {body: [
+		`int n = a < 0 ? -a : a;`,
+		`int d = b < 0 ? -b : b;`,
+		`int q = n / d;`,
+		``,
+		`//round the quotient towards negative infinity`,
+		`if ((a < 0) != (b < 0)) q = q * d == n ? -q : -q - 1;`,
+		`return a - q * b;`
+	].join('\n')};
+});
+
+exports.my_min = createBuiltin('my_min', [['v', 'v'], ['v', 's']], function () {
+	return {body: `return a < b ? a : b;`};
+});
+
+exports.my_max = createBuiltin('my_max', [['v', 'v'], ['v', 's']], function () {
+	return {body: `return a > b ? a : b;`};
+});
+
+exports.my_clamp = createBuiltin('my_clamp', [['v', 'v', 'v'], ['v', 's', 's']], function () {
+	return {body: `return a < b ? b : a > c ? c : a;`};
+});
+
+exports.my_mix = createBuiltin('my_mix', [['v', 'v', 'v'], ['v', 'v', 's']], function () {
+	return {
+		body: `return my_add_int_int(a, my_multiple_int_int(my_subtract_int_int(b, a), c));`,
+		include: ['my_subtract.int_int', 'my_multiple.int_int', 'my_add.int_int']
+	};
+});
+
+exports.my_step = createBuiltin('my_step', [['v', 'v'], ['s', 'v']], function () {
+	return {body: `return b < a ? 0 : FIXED_SCALE;`};
+});
+
+exports.my_smoothstep = createBuiltin('my_smoothstep', [['v', 'v', 'v'], ['s', 's', 'v']], function () {
+	return {
+		body: [
+			`int t = my_clamp_int_int_int(my_divide_int_int(my_subtract_int_int(c, a), my_subtract_int_int(b, a)), 0, FIXED_SCALE);`,
+			`return my_multiple_int_int(my_multiple_int_int(t, t), 3 * FIXED_SCALE - 2 * t);`
+		].join('\n'),
+		include: ['my_subtract.int_int', 'my_divide.int_int', 'my_clamp.int_int_int', 'my_multiple.int_int']
+	};
+});
+
+
+//geometric functions
+exports.my_dot = createGeometric('my_dot', ['v', 'v'], 'int', function (type) {
+	if (type === 'int') {
+		return {body: `return my_multiple_int_int(a, b);`, include: ['my_multiple.int_int']};
+	}
+	return {
+		body: `return ${sum(range(parseInt(type.slice(-1))).map(function (i) {
+			return `my_multiple_int_int(a.${swizzles[i]}, b.${swizzles[i]})`;
+		}), 'int')};`,
+		include: ['my_multiple.int_int', 'my_add.int_int']
+	};
+});
+
+exports.my_length = createGeometric('my_length', ['v'], 'int', function (type) {
+	if (type === 'int') {
+		return {body: `return a < 0 ? -a : a;`};
+	}
+	return {body: `return my_sqrt_int(my_dot_${type}_${type}(a, a));`, include: [`my_dot.${type}_${type}`, 'my_sqrt.int']};
+});
+
+exports.my_distance = createGeometric('my_distance', ['v', 'v'], 'int', function (type) {
+	return {
+		body: `return my_length_${type}(my_subtract_${type}_${type}(a, b));`,
+		include: [`my_subtract.${type}_${type}`, `my_length.${type}`]
+	};
+});
+
+exports.my_cross = {
+	ivec3_ivec3: createOverload('my_cross', ['ivec3', 'ivec3'], 'ivec3', function () {
+		return {
+			body: `return ivec3(${['yz', 'zx', 'xy'].map(function (c) {
+				return `my_subtract_int_int(my_multiple_int_int(a.${c[0]}, b.${c[1]}), my_multiple_int_int(a.${c[1]}, b.${c[0]}))`;
+			}).join(', ')});`,
+			include: ['my_multiple.int_int', 'my_subtract.int_int']
+		};
+	})
+};
+
+exports.my_normalize = createGeometric('my_normalize', ['v'], 'v', function (type) {
+	if (type === 'int') {
+		return {body: `return a > 0 ? FIXED_SCALE : a < 0 ? -FIXED_SCALE : 0;`};
+	}
+	return {body: `return my_divide_${type}_int(a, my_length_${type}(a));`, include: [`my_length.${type}`, `my_divide.${type}_int`]};
+});
+
+exports.my_faceforward = createGeometric('my_faceforward', ['v', 'v', 'v'], 'v', function (type) {
+	return {body: `return my_dot_${type}_${type}(c, b) < 0 ? a : -a;`, include: [`my_dot.${type}_${type}`]};
+});
+
+exports.my_reflect = createGeometric('my_reflect', ['v', 'v'], 'v', function (type) {
+	return {
+		body: `return my_subtract_${type}_${type}(a, my_multiple_${type}_int(b, 2 * my_dot_${type}_${type}(b, a)));`,
+		include: [`my_dot.${type}_${type}`, `my_multiple.${type}_int`, `my_subtract.${type}_${type}`]
+	};
+});
+
+exports.my_refract = createGeometric('my_refract', ['v', 'v', 's'], 'v', function (type) {
+	return {
+		body: [
+			`int d = my_dot_${type}_${type}(b, a);`,
+			`int k = my_subtract_int_int(FIXED_SCALE, my_multiple_int_int(my_multiple_int_int(c, c), my_subtract_int_int(FIXED_SCALE, my_multiple_int_int(d, d))));`,
+			`if (k < 0) return ${type}(0);`,
+			`return my_subtract_${type}_${type}(my_multiple_${type}_int(a, c), my_multiple_${type}_int(b, my_add_int_int(my_multiple_int_int(c, d), my_sqrt_int(k))));`
+		].join('\n'),
+		include: [
+			`my_dot.${type}_${type}`, 'my_multiple.int_int', 'my_subtract.int_int', 'my_add.int_int', 'my_sqrt.int',
+			`my_multiple.${type}_int`, `my_subtract.${type}_${type}`
+		].filter(function (name, i, list) {
+			return list.indexOf(name) === i;
+		})
+	};
+});
+
+
+//texture lookups sample with float coordinates and return fixed-point color
+exports.my_texture2D = createSampling('texture2D', [['sampler2D', 'ivec2'], ['sampler2D', 'ivec2', 'int']]);
+exports.my_texture2DProj = createSampling('texture2DProj', [
+	['sampler2D', 'ivec3'], ['sampler2D', 'ivec3', 'int'], ['sampler2D', 'ivec4'], ['sampler2D', 'ivec4', 'int']
+]);
+exports.my_texture2DLod = createSampling('texture2DLod', [['sampler2D', 'ivec2', 'int']]);
+exports.my_texture2DProjLod = createSampling('texture2DProjLod', [['sampler2D', 'ivec3', 'int'], ['sampler2D', 'ivec4', 'int']]);
+exports.my_textureCube = createSampling('textureCube', [['samplerCube', 'ivec3'], ['samplerCube', 'ivec3', 'int']]);
+exports.my_textureCubeLod = createSampling('textureCubeLod', [['samplerCube', 'ivec3', 'int']]);
+
+//GLSL ES 3.00 lookups take integer samplers as well, their values are returned as they are
+var samplerCoords = {'2D': 'ivec2', '3D': 'ivec3', 'Cube': 'ivec3', '2DArray': 'ivec3'};
+var samplers = ['', 'i', 'u'].reduce(function (list, prefix) {
+	return list.concat(Object.keys(samplerCoords).map(function (dim) {
+		return [`${prefix}sampler${dim}`, samplerCoords[dim]];
+	}));
+}, []);
+
+exports.my_texture = createSampling('texture', samplers.reduce(function (list, sampler) {
+	return list.concat([sampler, sampler.concat('int')]);
+}, [['sampler2DShadow', 'ivec3'], ['samplerCubeShadow', 'ivec4']]));
+exports.my_textureProj = createSampling('textureProj', samplers.filter(function (sampler) {
+	return /2D$|3D$/.test(sampler[0]);
+}).reduce(function (list, sampler) {
+	var coords = /2D$/.test(sampler[0]) ? ['ivec3', 'ivec4'] : ['ivec4'];
+	return list.concat(coords.map(function (coord) {
+		return [sampler[0], coord];
+	}), coords.map(function (coord) {
+		return [sampler[0], coord, 'int'];
+	}));
+}, []));
+exports.my_textureLod = createSampling('textureLod', samplers.map(function (sampler) {
+	return sampler.concat('int');
+}));
+exports.my_textureProjLod = createSampling('textureProjLod', Object.keys(exports.my_textureProj).filter(function (signature) {
+	return /_int$/.test(signature);
+}).map(function (signature) {
+	return signature.split('_');
+}));
+//texel coordinates and lod are genuine ints
+exports.my_texelFetch = createSampling('texelFetch', samplers.filter(function (sampler) {
+	return !/Cube/.test(sampler[0]);
+}).map(function (sampler) {
+	return sampler.concat('int');
+}), true);
+
+//derivatives are taken of float values, like texture lookups
+exports.my_dFdx = createDerivative('dFdx');
+exports.my_dFdy = createDerivative('dFdy');
+exports.my_fwidth = createDerivative('fwidth');
+
+
+/**
+ * Matrices are emulated by structs of ivec columns, as there are no integer matrices in GLSL.
+ * Columns are array `m.col[i]` since GLSL ES 3.00, GLSL ES 1.00 functions cannot return structs with arrays,
+ * so there columns are fields `m.c0`, `m.c1`, indexed by `my_column` helper.
+ * Constructors are overloads like `my_imat2_ivec2_ivec2`.
+ */
+matrices.forEach(function (mat) {
+	exports[mat] = {struct: createStruct(mat, function () {
+		if (this.columnArrays()) return [`${column(mat)} col[${order(mat)}];`];
+		return range(order(mat)).map(function (i) {
+			return `${column(mat)} c${i};`;
+		});
+	})};
+	exports['my_' + mat] = createConstructor(mat);
+});
+
+//m[i] by non-constant index for column fields
+exports.my_column = createMatrix('my_column', ['m', 'int'], 'column', function (mat) {
+	var last = order(mat) - 1;
+	return {
+		body: range(last).map(function (i) {
+			return `if (b == ${i}) return ${this.matrixColumn('a', i)};`;
+		}, this).concat(`return ${this.matrixColumn('a', last)};`).join('\n')
+	};
+});
+
+exports.my_transpose = createMatrix('my_transpose', ['m'], 'm', function (mat) {
+	var indices = range(order(mat));
+	return construct(mat, indices.map(function (i) {
+		return `${column(mat)}(${indices.map(function (j) {
+			return `${this.matrixColumn('a', j)}.${swizzles[i]}`;
+		}, this).join(', ')})`;
+	}, this));
+});
+
+exports.my_matrixCompMult = createMatrix('my_matrixCompMult', ['m', 'm'], 'm', function (mat) {
+	var vector = column(mat);
+	var result = construct(mat, range(order(mat)).map(function (i) {
+		return `my_multiple_${vector}_${vector}(${this.matrixColumn('a', i)}, ${this.matrixColumn('b', i)})`;
+	}, this));
+	result.include.push(`my_multiple.${vector}_${vector}`);
+	return result;
+});
+
+exports.my_outerProduct = createMatrix('my_outerProduct', ['column', 'column'], 'm', function (mat) {
+	var vector = column(mat);
+	var result = construct(mat, range(order(mat)).map(function (i) {
+		return `my_multiple_${vector}_int(a, b.${swizzles[i]})`;
+	}));
+	result.include.push(`my_multiple.${vector}_int`);
+	return result;
+});
+
+exports.my_determinant = createMatrix('my_determinant', ['m'], 'int', function (mat) {
+	var include = ['my_multiple.int_int', 'my_subtract.int_int', 'my_add.int_int'];
+	var columns = range(order(mat)).map(function (i) {
+		return this.matrixColumn('a', i);
+	}, this);
+
+	//a.col[i].x is the element of i-th column and 0-th row
+	function e (i, j) {
+		return `${columns[i]}.${swizzles[j]}`;
+	}
+	function minor (i, j, k, l) {
+		return `my_subtract_int_int(my_multiple_int_int(${e(i, j)}, ${e(k, l)}), my_multiple_int_int(${e(i, l)}, ${e(k, j)}))`;
+	}
+
+	if (mat === 'imat2') {
+		return {body: `return ${minor(0, 0, 1, 1)};`, include: include};
+	}
+
+	if (mat === 'imat3') {
+		return {
+			body: [
+				`int c0 = ${minor(1, 1, 2, 2)};`,
+				`int c1 = ${minor(0, 1, 2, 2)};`,
+				`int c2 = ${minor(0, 1, 1, 2)};`,
+				`return my_add_int_int(my_subtract_int_int(my_multiple_int_int(${e(0, 0)}, c0), my_multiple_int_int(${e(1, 0)}, c1)), my_multiple_int_int(${e(2, 0)}, c2));`
+			].join('\n'),
+			include: include
+		};
+	}
+
+	//2x2 minors of the first and the last column pairs
+	var pairs = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+	return {
+		body: pairs.map(function (pair, n) {
+			return `int b${n} = ${minor(0, pair[0], 1, pair[1])};`;
+		}).concat(pairs.map(function (pair, n) {
+			return `int b${n + 6} = ${minor(2, pair[0], 3, pair[1])};`;
+		}), [
+			`int p = my_add_int_int(my_subtract_int_int(my_multiple_int_int(b0, b11), my_multiple_int_int(b1, b10)), my_multiple_int_int(b2, b9));`,
+			`int q = my_add_int_int(my_subtract_int_int(my_multiple_int_int(b3, b8), my_multiple_int_int(b4, b7)), my_multiple_int_int(b5, b6));`,
+			`return my_add_int_int(p, q);`
+		]).join('\n'),
+		include: include
+	};
+});
+
+
+//adjugate divided by determinant, element of i-th column and j-th row is the cofactor of j-th column and i-th row
+exports.my_inverse = createMatrix('my_inverse', ['m'], 'm', function (mat) {
+	var size = order(mat);
+	var indices = range(size);
+	var columns = indices.map(function (i) {
+		return this.matrixColumn('a', i);
+	}, this);
+
+	//determinant of the elements at the columns and rows, expanded by the first column
+	function det (cols, rows) {
+		if (cols.length === 1) return `${columns[cols[0]]}.${swizzles[rows[0]]}`;
+
+		return rows.map(function (row) {
+			var minor = det(cols.slice(1), rows.filter(function (r) { return r !== row; }));
+			return `my_multiple_int_int(${columns[cols[0]]}.${swizzles[row]}, ${minor})`;
+		}).reduce(function (sum, term, k) {
+			return `${k % 2 ? 'my_subtract' : 'my_add'}_int_int(${sum}, ${term})`;
+		});
+	}
+
+	var cofactors = [];
+	indices.forEach(function (i) {
+		indices.forEach(function (j) {
+			var cofactor = det(indices.filter(function (c) { return c !== j; }), indices.filter(function (r) { return r !== i; }));
+			cofactors.push((i + j) % 2 ? `-${cofactor}` : cofactor);
+		});
+	});
+
+	var signature = cofactors.map(function () { return 'int'; }).join('_');
+	return {
+		body: [
+			`int d = my_determinant_${mat}(a);`,
+			`return my_divide_${mat}_int(my_${mat}_${signature}(${cofactors.join(', ')}), d);`
+		].join('\n'),
+		include: [
+			'my_multiple.int_int', 'my_add.int_int', 'my_subtract.int_int',
+			`my_determinant.${mat}`, `my_${mat}.${signature}`, `my_divide.${mat}_int`
+		]
+	};
+});
+
+
+/**
+ * Create overloads of a helper for every operand types combination
+ */
+function createHelper (name, operator) {
+	var overloads = {};
+
+	function overload (a, b, out) {
+		overloads[`${a}_${b}`] = createOverload(name, [a, b], out, function () {
+			return render.call(this, name, operator, a, b, out);
+		});
+	}
+
+	overload('int', 'int', 'int');
+
+	//componentwise and scalar broadcast
+	vectors.concat(matrices).forEach(function (type) {
+		overload(type, type, type);
+		overload(type, 'int', type);
+		overload('int', type, type);
+	});
+
+	//linear algebraic products
+	if (operator === '*') {
+		matrices.forEach(function (mat, i) {
+			overload(mat, vectors[i], vectors[i]);
+			overload(vectors[i], mat, vectors[i]);
+		});
+	}
+
+	return overloads;
+}
+
+
+/**
+ * Create overload source function from the renderer returning `{body, include}`,
+ * arguments are named `a`, `b`, `c` in order
+ */
+function createOverload (name, args, out, render) {
+	function overload () {
+		var body = render.call(this).body.replace(/^(?=.)/gm, '\t');
+		return `${out} ${name}_${args.join('_')} (${args.map(function (type, i) {
+			//GLSL ES declares default precision only for sampler2D and samplerCube
+			if (/sampler/.test(type) && !/^sampler(2D|Cube)$/.test(type)) return `highp ${type} ${params[i]}`;
+			return `${type} ${params[i]}`;
+		}).join(', ')}) {\n${body}\n}`;
+	}
+
+	//matrix structs go before the overloads using them
+	overload.include = function () {
+		return (render.call(this).include || []).concat(args.concat(out).filter(function (type) {
+			return /mat/.test(type);
+		}).map(function (type) {
+			return `${type}.struct`;
+		}));
+	};
+
+	return overload;
+}
+
+
+/**
+ * Create struct definition source, it is included like an overload.
+ * Fields are listed by the function, called with the compiler.
+ */
+function createStruct (name, fields) {
+	function struct () {
+		return `struct ${name} {\n${fields.call(this).map(function (field) {
+			return '\t' + field;
+		}).join('\n')}\n};`;
+	}
+
+	struct.include = function () {
+		return [];
+	};
+
+	return struct;
+}
+
+
+/**
+ * Create matrix constructors: diagonal from scalar, from columns, from all components
+ * column by column, and from other matrix, taking its upper-left part or extending by identity.
+ */
+function createConstructor (mat) {
+	var overloads = {};
+	var size = order(mat);
+	var vector = column(mat);
+	var indices = range(size);
+
+	//columns are listed by the function of the source matrix column, like a → a.col[i]
+	//the result is not named by a letter, as 16 components take parameters up to `p`
+	function overload (args, columns) {
+		overloads[args.join('_')] = createOverload('my_' + mat, args, mat, function () {
+			var source = this.matrixColumn.bind(this, 'a');
+			return {
+				body: [`${mat} result;`].concat(columns(source).map(function (column, i) {
+					return `${this.matrixColumn('result', i)} = ${column};`;
+				}, this), `return result;`).join('\n')
+			};
+		});
+	}
+
+	overload(['int'], function () {
+		return indices.map(function (i) {
+			return `${vector}(${indices.map(function (j) { return i === j ? 'a' : '0'; }).join(', ')})`;
+		});
+	});
+
+	overload(indices.map(function () { return vector; }), function () {
+		return indices.map(function (i) {
+			return params[i];
+		});
+	});
+
+	overload(range(size * size).map(function () { return 'int'; }), function () {
+		return indices.map(function (i) {
+			return `${vector}(${indices.map(function (j) { return params[i * size + j]; }).join(', ')})`;
+		});
+	});
+
+	matrices.forEach(function (source) {
+		var sourceSize = order(source);
+		overload([source], function (a) {
+			return indices.map(function (i) {
+				if (i >= sourceSize) {
+					return `${vector}(${indices.map(function (j) { return i === j ? 'FIXED_SCALE' : '0'; }).join(', ')})`;
+				}
+				if (sourceSize > size) return `${a(i)}.${swizzles.slice(0, size)}`;
+				if (sourceSize < size) return `${vector}(${a(i)}${range(size - sourceSize).map(function () { return ', 0'; }).join('')})`;
+				return a(i);
+			});
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Create overloads of a matrix function for every matrix type.
+ * Pattern lists arguments: `m` for matrix, `column` for its column type, the output is named the same way.
+ */
+function createMatrix (name, pattern, out, render) {
+	var overloads = {};
+
+	matrices.forEach(function (mat) {
+		var types = pattern.map(function (arg) { return arg === 'm' ? mat : arg === 'column' ? column(mat) : arg; });
+		overloads[types.join('_')] = createOverload(name, types, out === 'm' ? mat : out === 'column' ? column(mat) : out, function () {
+			return render.call(this, mat);
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Render body returning matrix constructed from the column expressions
+ */
+function construct (mat, columns) {
+	var signature = columns.map(function () { return column(mat); }).join('_');
+	return {
+		body: `return my_${mat}_${signature}(${columns.join(', ')});`,
+		include: [`my_${mat}.${signature}`]
+	};
+}
+
+
+//number of columns of a square matrix, like 3 for imat3
+function order (mat) {
+	return parseInt(mat.slice(-1));
+}
+
+//column type of a matrix, like ivec3 for imat3
+function column (mat) {
+	return 'ivec' + order(mat);
+}
+
+
+/**
+ * Render overload body for the current overflow mode
+ */
+function render (name, operator, a, b, out) {
+	var mode = this.overflow;
+
+	//native operations wrap around, additions do not need splitting, matrices are structs though
+	//rounded products and quotients are divided per component
+	var matrix = /mat/.test(a) || /mat/.test(b);
+	var rounded = this.rounding && (operator === '*' || operator === '/');
+	if (!matrix && !rounded && (mode === 'wrap' || (mode === 'split' && (operator === '+' || operator === '-')))) {
+		return {body: `return ${bodies[operator]};`};
+	}
+
+	//scalar operations
+	if (a === 'int' && b === 'int') {
+		if (operator === '+' || operator === '-') {
+			return {body: addBody(operator)};
+		}
+		if (mode === 'wrap') {
+			return {
+				body: `return my_signed_divide_int_int(${operator === '*' ? 'a * b, FIXED_SCALE' : 'a * FIXED_SCALE, b'});`,
+				include: ['my_signed_divide.int_int']
+			};
+		}
+		if (operator === '*') {
+			return {body: multiplyBody.call(this, mode === 'saturate')};
+		}
+		if (mode === 'split') {
+			return {body: divideBody.call(this)};
+		}
+		return {
+			body: [
+				`int n = a < 0 ? -a : a;`,
+				`int d = b < 0 ? -b : b;`,
+				``,
+				`//result does not fit`,
+				`if (d == 0 || n / d > ${Math.pow(2, 31 - this.fixedPoint.fractionBits) - 1}) return (a < 0) != (b < 0) ? -${INT_MAX} : ${INT_MAX};`,
+				``,
+				`return my_split_divide_int_int(a, b);`
+			].join('\n'),
+			include: ['my_split_divide.int_int']
+		};
+	}
+
+	var size = parseInt(out.slice(-1));
+	var vector = 'ivec' + size;
+	var indices = range(size);
+
+	//mat * mat → columns of mat * vec
+	if (operator === '*' && /mat/.test(a) && /mat/.test(b)) {
+		var result = construct(out, indices.map(function (i) {
+			return `${name}_${a}_${vector}(a, ${this.matrixColumn('b', i)})`;
+		}, this));
+		result.include.push(`${name}.${a}_${vector}`);
+		return result;
+	}
+
+	//mat * vec → sum of columns scaled by vec components
+	if (operator === '*' && /mat/.test(a) && /vec/.test(b)) {
+		return {
+			body: `return ${sum(indices.map(function (i) {
+				return `${name}_${vector}_int(${this.matrixColumn('a', i)}, b.${swizzles[i]})`;
+			}, this), vector)};`,
+			include: [`${name}.${vector}_int`, `my_add.${vector}_${vector}`]
+		};
+	}
+
+	//vec * mat → dot products of vec and columns
+	if (operator === '*' && /vec/.test(a) && /mat/.test(b)) {
+		return {
+			body: `return ${out}(${indices.map(function (i) {
+				return sum(indices.map(function (j) {
+					return `${name}_int_int(a.${swizzles[j]}, ${this.matrixColumn('b', i)}.${swizzles[j]})`;
+				}, this), 'int');
+			}, this).join(', ')});`,
+			include: [`${name}.int_int`, `my_add.int_int`]
+		};
+	}
+
+	//mat → per-column vector operations
+	if (/mat/.test(out)) {
+		var signature = `${/mat/.test(a) ? vector : a}_${/mat/.test(b) ? vector : b}`;
+		var result = construct(out, indices.map(function (i) {
+			return `${name}_${signature}(${/mat/.test(a) ? this.matrixColumn('a', i) : 'a'}, ${/mat/.test(b) ? this.matrixColumn('b', i) : 'b'})`;
+		}, this));
+		result.include.push(`${name}.${signature}`);
+		return result;
+	}
+
+	//vec → per-component scalar operations
+	return {
+		body: `return ${out}(${indices.map(function (i) {
+			return `${name}_int_int(${a === 'int' ? 'a' : `a.${swizzles[i]}`}, ${b === 'int' ? 'b' : `b.${swizzles[i]}`})`;
+		}).join(', ')});`,
+		include: [`${name}.int_int`]
+	};
+}
+
+
+/**
+ * Saturating addition/subtraction
+ */
+function addBody (operator) {
+	var sign = operator === '+' ? 1 : -1;
+	return [
+		`if (b ${sign > 0 ? '>' : '<'} 0 && a > ${INT_MAX} ${sign > 0 ? '-' : '+'} b) return ${INT_MAX};`,
+		`if (b ${sign > 0 ? '<' : '>'} 0 && a < -${INT_MAX} ${sign > 0 ? '-' : '+'} b) return -${INT_MAX};`,
+		`return a ${operator} b;`
+	].join('\n');
+}
+
+
+/**
+ * Split multiplication: operands are split into high and low halves,
+ * partial products are recombined with the fraction bits dropped.
+ * Low halves are 15-bit, so that every partial product fits into 31 bits.
+ */
+function multiplyBody (saturate) {
+	var bits = this.fixedPoint.fractionBits;
+
+	//max high part of the product fitting into int after rescaling
+	var limit = Math.pow(2, bits + 1) - 1;
+	var saturated = `return negative ? -${INT_MAX} : ${INT_MAX};`;
+
+	var lines = [
+		`bool negative = (a < 0) != (b < 0);`,
+		`int n = a < 0 ? -a : a;`,
+		`int m = b < 0 ? -b : b;`,
+		`int n1 = n / 32768;`,
+		`int n0 = n - n1 * 32768;`,
+		`int m1 = m / 32768;`,
+		`int m0 = m - m1 * 32768;`
+	];
+	if (saturate) lines.push(`if (n1 > 0 && m1 > ${limit} / n1) ${saturated}`);
+
+	lines.push(
+		``,
+		`int low = n0 * m0;`,
+		`int mid1 = n1 * m0;`,
+		`int mid2 = n0 * m1;`,
+		`int mid = low / 32768 + (mid1 - mid1 / 32768 * 32768) + (mid2 - mid2 / 32768 * 32768);`,
+		`int high = n1 * m1 + mid1 / 32768 + mid2 / 32768 + mid / 32768;`
+	);
+	if (saturate) lines.push(`if (high > ${limit}) ${saturated}`);
+
+	lines.push(``);
+
+	//dropped fraction bits are the remainder to round by
+	if (this.rounding) {
+		lines.push(
+			`int rest = (mid - mid / 32768 * 32768) * 32768 + low - low / 32768 * 32768;`,
+			`int result = high * ${Math.pow(2, 30 - bits)} + rest / FIXED_SCALE;`,
+			`int r = rest - rest / FIXED_SCALE * FIXED_SCALE;`
+		);
+		lines = lines.concat(roundLines(this.rounding, 'result', 'FIXED_SCALE'));
+	}
+	else {
+		lines.push(`int result = high * ${Math.pow(2, 30 - bits)} + ((mid - mid / 32768 * 32768) * 32768 + low - low / 32768 * 32768) / FIXED_SCALE;`);
+	}
+
+	lines.push(`return negative ? -result : result;`);
+
+	return lines.join('\n');
+}
+
+
+/**
+ * Long division, producing fraction bits one by one without overflowing the remainder
+ */
+function divideBody () {
+	return [
+		`bool negative = (a < 0) != (b < 0);`,
+		`int n = a < 0 ? -a : a;`,
+		`int d = b < 0 ? -b : b;`,
+		`if (d == 0) return negative ? -${INT_MAX} : ${INT_MAX};`,
+		``,
+		`int q = n / d;`,
+		`int r = n - q * d;`,
+		`for (int i = 0; i < FIXED_FRACTION_BITS; i++) {`,
+		`\tq += q;`,
+		`\tif (r >= d - r) {`,
+		`\t\tr -= d - r;`,
+		`\t\tq += 1;`,
+		`\t}`,
+		`\telse {`,
+		`\t\tr += r;`,
+		`\t}`,
+		`}`
+	].concat(
+		this.rounding ? roundLines(this.rounding, 'q', 'd') : [],
+		`return negative ? -q : q;`
+	).join('\n');
+}
+
+
+/**
+ * Division of magnitudes, so that the quotient is the same with any driver
+ */
+function signedDivideBody () {
+	return [
+		`bool negative = (a < 0) != (b < 0);`,
+		`int n = a < 0 ? -a : a;`,
+		`int d = b < 0 ? -b : b;`,
+		`if (d == 0) return negative ? -${INT_MAX} : ${INT_MAX};`,
+		``,
+		`int q = n / d;`,
+		`int r = n - q * d;`
+	].concat(
+		roundLines(this.rounding, 'q', 'd'),
+		`return negative ? -q : q;`
+	).join('\n');
+}
+
+
+/**
+ * Round magnitude of the quotient `q` by the remainder `r` of the divisor `d`,
+ * `negative` tells the sign of the result
+ */
+function roundLines (rounding, q, d) {
+	if (rounding === 'floor') return [`if (negative && r > 0) ${q} += 1;`];
+
+	//ties go towards +infinity, so negative ones get the smaller magnitude
+	if (rounding === 'round-half-up') return [`if (negative ? r > ${d} - r : r >= ${d} - r) ${q} += 1;`];
+
+	if (rounding === 'round-half-even') return [`if (r > ${d} - r || r == ${d} - r && ${q} - ${q} / 2 * 2 == 1) ${q} += 1;`];
+
+	//truncate
+	return [];
+}
+
+
+//render nested sum of terms of the type
+function sum (terms, type) {
+	return terms.reduce(function (sum, term) {
+		return `my_add_${type}_${type}(${sum}, ${term})`;
+	});
+}
+
+
+/**
+ * Create builtin from the scalar overload renderer, vector overloads apply it componentwise.
+ * Patterns list arguments of vector overloads: `v` for vector, `s` for scalar broadcast.
+ */
+function createBuiltin (name, patterns, scalar) {
+	var overloads = {};
+
+	patterns.forEach(function (pattern) {
+		var args = pattern.map(function () { return 'int'; });
+		var signature = args.join('_');
+
+		overloads[signature] = createOverload(name, args, 'int', function () {
+			return scalar.call(this, args);
+		});
+
+		vectors.forEach(function (vector) {
+			var types = pattern.map(function (arg) { return arg === 'v' ? vector : 'int'; });
+			overloads[types.join('_')] = createOverload(name, types, vector, function () {
+				return {
+					body: `return ${vector}(${range(parseInt(vector.slice(-1))).map(function (i) {
+						return `${name}_${signature}(${types.map(function (type, j) {
+							return type === 'int' ? params[j] : `${params[j]}.${swizzles[i]}`;
+						}).join(', ')})`;
+					}).join(', ')});`,
+					include: [`${name}.${signature}`]
+				};
+			});
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Create conversion from the source scalar types and their vectors, like my_float_bvec3.
+ * Output is the same size vector of `out` scalar, like uvec3 for `uint`.
+ */
+function createCast (name, sources, out, render) {
+	var overloads = {};
+
+	sources.forEach(function (source) {
+		[1, 2, 3, 4].forEach(function (size) {
+			var type = size > 1 ? `${prefixes[source]}vec${size}` : source;
+			var outType = size > 1 ? `${prefixes[out]}vec${size}` : out;
+			overloads[type] = createOverload(name, [type], outType, function () {
+				return render.call(this, type, outType);
+			});
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Create geometric builtin, taking vectors or scalars as a whole
+ */
+function createGeometric (name, pattern, out, render) {
+	var overloads = {};
+
+	['int'].concat(vectors).forEach(function (type) {
+		var types = pattern.map(function (arg) { return arg === 'v' ? type : 'int'; });
+		overloads[types.join('_')] = createOverload(name, types, out === 'v' ? type : out, function () {
+			return render.call(this, type);
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Create texture lookup, converting coordinates and bias/lod to float and the color back.
+ * Integer samplers return values as they are, `fetch` lookups take int arguments as they are.
+ */
+function createSampling (name, signatures, fetch) {
+	var overloads = {};
+
+	signatures.forEach(function (types) {
+		var integer = /^[iu]sampler/.test(types[0]);
+		var out = integer ? types[0][0] + 'vec4' : /Shadow/.test(types[0]) ? 'int' : 'ivec4';
+
+		overloads[types.join('_')] = createOverload(`my_${name}`, types, out, function () {
+			var lookup = `${name}(${types.map(function (type, i) {
+				if (/sampler/.test(type) || fetch) return params[i];
+				return `${type === 'int' ? 'float' : type.slice(1)}(${params[i]}) / float(FIXED_SCALE)`;
+			}).join(', ')})`;
+
+			return {
+				body: `return ${integer ? lookup : `${out}(${lookup} * float(FIXED_SCALE))`};`
+			};
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Create derivative of the value converted to float, the result is converted back
+ */
+function createDerivative (name) {
+	var overloads = {};
+
+	['int'].concat(vectors).forEach(function (type) {
+		overloads[type] = createOverload(`my_${name}`, [type], type, function () {
+			return {
+				body: `return ${type}(${name}(${type === 'int' ? 'float' : type.slice(1)}(a) / float(FIXED_SCALE)) * float(FIXED_SCALE));`
+			};
+		});
+	});
+
+	return overloads;
+}
+
+
+/**
+ * Multiplication by a constant
+ */
+function scaleBody (value) {
+	return {body: `return my_split_multiple_int_int(a, ${fixed.call(this, value)});`, include: ['my_split_multiple.int_int']};
+}
+
+
+/**
+ * CORDIC rotation of the unit vector by the angle
+ */
+function rotateBody () {
+	var pi = fixed.call(this, Math.PI);
+	var halfPi = fixed.call(this, Math.PI / 2);
+	var twoPi = fixed.call(this, Math.PI * 2);
+
+	return [
+		`//reduce the angle to [-PI/2, PI/2], cosine changes sign for the other half-turn`,
+		`int z = a - a / ${twoPi} * ${twoPi};`,
+		`if (z > ${pi}) z -= ${twoPi};`,
+		`else if (z < -${pi}) z += ${twoPi};`,
+		`int flip = 1;`,
+		`if (z > ${halfPi}) {`,
+		`\tz = ${pi} - z;`,
+		`\tflip = -1;`,
+		`}`,
+		`else if (z < -${halfPi}) {`,
+		`\tz = -${pi} - z;`,
+		`\tflip = -1;`,
+		`}`,
+		``,
+		`//start from the unit vector shortened by the CORDIC gain`,
+		`int x = ${fixed.call(this, gain(this.fixedPoint.fractionBits))};`,
+		`int y = 0;`,
+		`int t;`
+	].concat(cordic.call(this, 'z >= 0'), [
+		``,
+		`return ivec2(flip * x, y);`
+	]).join('\n');
+}
+
+
+/**
+ * CORDIC vectoring, accumulating the angle of (b, a) vector
+ */
+function vectorBody () {
+	var pi = fixed.call(this, Math.PI);
+
+	return [
+		`//turn the vector into the right half-plane`,
+		`int x = b;`,
+		`int y = a;`,
+		`int z = 0;`,
+		`if (x < 0) {`,
+		`\tz = y < 0 ? -${pi} : ${pi};`,
+		`\tx = -x;`,
+		`\ty = -y;`,
+		`}`,
+		``,
+		`//keep the vector growing by the CORDIC gain within int`,
+		`if (x > 536870911 || y > 536870911 || y < -536870911) {`,
+		`\tx /= 4;`,
+		`\ty /= 4;`,
+		`}`,
+		`int t;`
+	].concat(cordic.call(this, 'y < 0'), [
+		``,
+		`return z;`
+	]).join('\n');
+}
+
+
+/**
+ * Unrolled CORDIC iterations rotating (x, y) by ±atan(2^-i) and tracking the angle in z,
+ * one per fraction bit as the angles get below the last bit then
+ */
+function cordic (condition) {
+	var lines = [];
+
+	for (var i = 0; i <= this.fixedPoint.fractionBits; i++) {
+		var shift = Math.pow(2, i);
+		var angle = fixed.call(this, Math.atan(1 / shift));
+		lines.push(
+			`if (${condition}) {`,
+			`\tt = x - y / ${shift};`,
+			`\ty += x / ${shift};`,
+			`\tz -= ${angle};`,
+			`}`,
+			`else {`,
+			`\tt = x + y / ${shift};`,
+			`\ty -= x / ${shift};`,
+			`\tz += ${angle};`,
+			`}`,
+			`x = t;`
+		);
+	}
+
+	return lines;
+}
+
+
+//CORDIC vectors grow by 1/gain after the iterations
+function gain (bits) {
+	var result = 1;
+	for (var i = 0; i <= bits; i++) {
+		result /= Math.sqrt(1 + Math.pow(2, -2 * i));
+	}
+	return result;
+}
+
+
+/**
+ * Integer Newton iterations, descending to the floor of the root
+ */
+function sqrtBody () {
+	return [
+		`if (a <= 0) return 0;`,
+		``,
+		`//start above the root and stop once it does not decrease`,
+		`int r = a / 2 + FIXED_SCALE / 2 + 1;`,
+		`for (int i = 0; i < 32; i++) {`,
+		`\tint q = my_split_divide_int_int(a, r);`,
+		`\tint next = q + (r - q) / 2;`,
+		`\tif (next >= r) break;`,
+		`\tr = next;`,
+		`}`,
+		`return r;`
+	].join('\n');
+}
+
+
+/**
+ * Binary logarithm: integer part from normalizing the value to [1, 2),
+ * fraction bits from repeated squaring
+ */
+function log2Body () {
+	return [
+		`if (a <= 0) return -${INT_MAX};`,
+		``,
+		`int n = a;`,
+		`int k = 0;`,
+		`for (int i = 0; i < 31; i++) {`,
+		`\tif (n / 2 < FIXED_SCALE) break;`,
+		`\tn /= 2;`,
+		`\tk++;`,
+		`}`,
+		`for (int i = 0; i < 31; i++) {`,
+		`\tif (n >= FIXED_SCALE) break;`,
+		`\tn *= 2;`,
+		`\tk--;`,
+		`}`,
+		``,
+		`int result = k * FIXED_SCALE;`,
+		`int bit = FIXED_SCALE / 2;`,
+		`for (int i = 0; i < FIXED_FRACTION_BITS; i++) {`,
+		`\tn = my_split_multiple_int_int(n, n);`,
+		`\tif (n / 2 >= FIXED_SCALE) {`,
+		`\t\tn /= 2;`,
+		`\t\tresult += bit;`,
+		`\t}`,
+		`\tbit /= 2;`,
+		`}`,
+		`return result;`
+	].join('\n');
+}
+
+
+/**
+ * Binary exponent: fraction part as a product of 2^(2^-i) constants for its bits,
+ * integer part by doubling or halving
+ */
+function exp2Body () {
+	var bits = this.fixedPoint.fractionBits;
+	var lines = [
+		`int k = a >= 0 ? a / FIXED_SCALE : -((-a - 1) / FIXED_SCALE) - 1;`,
+		`int f = a - k * FIXED_SCALE;`,
+		`int result = FIXED_SCALE;`
+	];
+
+	for (var i = 1; i <= bits; i++) {
+		var bit = Math.pow(2, bits - i);
+		lines.push(
+			`if (f >= ${bit}) {`,
+			`\tresult = my_split_multiple_int_int(result, ${fixed.call(this, Math.pow(2, Math.pow(2, -i)))});`,
+			`\tf -= ${bit};`,
+			`}`
+		);
+	}
+
+	lines.push(
+		``,
+		`for (int i = 0; i < 31; i++) {`,
+		`\tif (k == 0) break;`,
+		`\tif (k > 0) {`,
+		`\t\tif (result > ${Math.floor(INT_MAX / 2)}) return ${INT_MAX};`,
+		`\t\tresult *= 2;`,
+		`\t\tk--;`,
+		`\t}`,
+		`\telse {`,
+		`\t\tresult /= 2;`,
+		`\t\tk++;`,
+		`\t}`,
+		`}`,
+		`return result;`
+	);
+
+	return lines.join('\n');
+}
+
+
+//constant in the fixed-point format
+function fixed (value) {
+	return Math.round(value * this.fixedPoint.scale);
+}
+
+
+//list of indexes up to the number
+function range (size) {
+	return Array.apply(null, Array(size)).map(function (x, i) { return i; });
+}
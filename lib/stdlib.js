@@ -35,13 +35,13 @@ function vec3 (x, y, z) {
 	return [x, y, z]
 }
 
-//function vec4 (x, y, z, w) {
-//	if (x == null) x = 0;
-//	if (y == null) y = x;
-//	if (z == null) z = y;
-//	if (w == null) w = z;
-//	return [x, y, z, w]
-//}
+function vec4 (x, y, z, w) {
+	if (x == null) x = 0;
+	if (y == null) y = x;
+	if (z == null) z = y;
+	if (w == null) w = z;
+	return [x, y, z, w];
+}
 
 function mat2 (x) {
 	if (x == null) x = 1;
@@ -70,7 +70,7 @@ function mat4 (x) {
  */
 createOperations(vec2, 2);
 createOperations(vec3, 3);
-//createOperations(vec4, 4);
+createOperations(vec4, 4);
 createOperations(mat2, 4);
 
 function createOperations(obj, len) {
@@ -290,8 +290,9 @@ function step (edge, x) {
 
 	return x < edge ? 0.0 : 1.0;
 }
+//edges may be scalar, so the result is of the type of x
 step.type = function (node) {
-	return this.process(node.children[1]).type;
+	return this.process(node.children[node.children.length - 1]).type;
 }
 
 function smoothstep (edge0, edge1, x) {
@@ -307,6 +308,7 @@ function smoothstep (edge0, edge1, x) {
 	var t = Math.min(Math.max((x - edge0) / (edge1 - edge0), 0.0), 1.0);
 	return t * t * (3.0 - 2.0 * t);
 }
+smoothstep.type = step.type;
 
 function length (x) {
 	var sum = 0;
@@ -520,9 +522,9 @@ function outerProduct (c, r) {
 outerProduct.type = function (node) {
 	var child1Type = this.process(node.children[1]).type;
 	var child2Type = this.process(node.children[2]).type;
-	var dim1 = child1Type.slice(-1);
-	var dim2 = child2Type.slice(-1);
-	return `mat${dim1}x${dim2}`;
+	var rows = child1Type.slice(-1);
+	var columns = child2Type.slice(-1);
+	return rows === columns ? `mat${rows}` : `mat${columns}x${rows}`;
 };
 
 function transpose (m) {
@@ -709,7 +711,7 @@ function textureSize (sampler, lod) {
 	if (sampler.shape) return [sampler.shape[0], sampler.shape[1]];
 	return [sampler.width, sampler.height];
 };
-texture.type = function (node) {
+textureSize.type = function (node) {
 	var samplerType = this.process(node.children[1]).type;
 	if (/1D/.test(samplerType)) return 'int';
 	if (/2D|Cube/.test(samplerType)) return 'ivec2';
@@ -724,16 +726,16 @@ exports.float = float;
 exports.double = float;
 exports.vec2 = vec2;
 exports.vec3 = vec3;
-//exports.vec4 = vec4;
+exports.vec4 = vec4;
 exports.dvec2 = vec2;
 exports.dvec3 = vec3;
-//exports.dvec4 = vec4;
+exports.dvec4 = vec4;
 exports.ivec2 = vec2;
 exports.ivec3 = vec3;
-//exports.ivec4 = vec4;
+exports.ivec4 = vec4;
 exports.uvec2 = vec2;
 exports.uvec3 = vec3;
-//exports.uvec4 = vec4;
+exports.uvec4 = vec4;
 exports.mat2 = mat2;
 exports.mat3 = mat3;
 exports.mat4 = mat4;
@@ -798,5 +800,9 @@ exports.textureCube =
 exports.shadow1D =
 exports.shadow2D =
 exports.shadow3D =
+exports.textureProj =
+exports.textureLod =
+exports.textureProjLod =
+exports.texelFetch =
 exports.texture = texture;
 exports.textureSize = textureSize;
@@ -621,6 +621,64 @@ function mat4 (v0, v1, v2, v3) {
 mat4.type = 'vec4';
 
 
+/**
+ * Non-square matrices, like mat2x3 of 2 vec3 columns.
+ * Components go column by column, scalar fills the diagonal, other matrix gives its upper-left part.
+ */
+function createMat (columns, rows) {
+	var type = `mat${columns}x${rows}`;
+
+	function mat () {
+		var args = [].slice.call(arguments).map(function (arg) {
+			return this.process(arg);
+		}, this);
+		var comps;
+
+		//ensure at least identity matrix
+		if (!args.length) args = [this.process(1)];
+
+		//matCxR(float) → diagonal matrix
+		if (args.length === 1 && this.types[args[0].type].length === 1) {
+			comps = [];
+			for (var i = 0; i < columns; i++) {
+				for (var j = 0; j < rows; j++) comps.push(i === j ? args[0] : 0);
+			}
+		}
+		//matCxR(mat) → upper-left part, extended by identity
+		else if (args.length === 1 && /mat/.test(args[0].type)) {
+			var source = args[0];
+			var sourceRows = this.types[this.types[source.type].type].length;
+			var sourceColumns = source.components.length / sourceRows;
+			comps = [];
+			for (var i = 0; i < columns; i++) {
+				for (var j = 0; j < rows; j++) {
+					comps.push(i < sourceColumns && j < sourceRows ? source.components[i * sourceRows + j] : i === j ? 1 : 0);
+				}
+			}
+		}
+		//matCxR(vec, vec, ...), matCxR(x0, y0, ...)
+		else {
+			comps = args.reduce(function (comps, arg) {
+				return comps.concat(arg.components);
+			}, []).slice(0, columns * rows);
+		}
+
+		comps = comps.map(float, this);
+		return Descriptor(`[${comps.join(', ')}]`, {
+			components: comps,
+			type: type,
+			complexity: cmpl(comps)
+		});
+	}
+
+	//arity is the number of columns, like for the square ones
+	Object.defineProperty(mat, 'length', {value: columns});
+	mat.type = `vec${rows}`;
+
+	return mat;
+}
+
+
 //helper to calc complexity of a list of components
 function cmpl (comps) {
 	if (Array.isArray(comps)) {
@@ -653,24 +711,24 @@ exports.mat4 = mat4;
 exports.mat2x2 = mat2;
 exports.mat3x3 = mat3;
 exports.mat4x4 = mat4;
-// exports.mat2x3 = mat2x3;
-// exports.mat2x4 = mat2x4;
-// exports.mat3x2 = mat3x2;
-// exports.mat3x4 = mat3x4;
-// exports.mat4x2 = mat4x2;
-// exports.mat4x3 = mat4x3;
+exports.mat2x3 = createMat(2, 3);
+exports.mat2x4 = createMat(2, 4);
+exports.mat3x2 = createMat(3, 2);
+exports.mat3x4 = createMat(3, 4);
+exports.mat4x2 = createMat(4, 2);
+exports.mat4x3 = createMat(4, 3);
 exports.dmat2 = mat2;
 exports.dmat3 = mat3;
 exports.dmat4 = mat4;
 exports.dmat2x2 = mat2;
 exports.dmat3x3 = mat3;
 exports.dmat4x4 = mat4;
-// exports.dmat2x3 = mat2x3;
-// exports.dmat2x4 = mat2x4;
-// exports.dmat3x2 = mat3x2;
-// exports.dmat3x4 = mat3x4;
-// exports.dmat4x2 = mat4x2;
-// exports.dmat4x3 = mat4x3;
+exports.dmat2x3 = exports.mat2x3;
+exports.dmat2x4 = exports.mat2x4;
+exports.dmat3x2 = exports.mat3x2;
+exports.dmat3x4 = exports.mat3x4;
+exports.dmat4x2 = exports.mat4x2;
+exports.dmat4x3 = exports.mat4x3;
 
 
 
@@ -730,7 +788,7 @@ exports.iimageCube = createSampler('ivec4', 'iimageCube');
 // exports.iimage2DRect =
 // exports.isampler1DArray =
 // exports.iimage1DArray =
-// exports.isampler2DArray =
+exports.isampler2DArray = createSampler('ivec4', 'isampler2DArray');
 // exports.iimage2DArray =
 // exports.isamplerBuffer =
 // exports.iimageBuffer =
@@ -740,19 +798,19 @@ exports.iimageCube = createSampler('ivec4', 'iimageCube');
 // exports.iimage2DMSArray =
 // exports.isamplerCubeArray =
 // exports.iimageCubeArray =
-// exports.usampler1D = createSampler('uvec4', 'usampler1D');
-// exports.uimage1D = createSampler('uvec4', 'uimage1D');
-// exports.usampler2D = createSampler('uvec4', 'usampler2D');
-// exports.uimage2D = createSampler('uvec4', 'uimage2D');
-// exports.usampler3D = createSampler('uvec4', 'usampler3D');
-// exports.uimage3D = createSampler('uvec4', 'uimage3D');
-// exports.usamplerCube = createSampler('uvec4', 'usamplerCube');
-// exports.uimageCube = createSampler('uvec4', 'uimageCube');
+exports.usampler1D = createSampler('uvec4', 'usampler1D');
+exports.uimage1D = createSampler('uvec4', 'uimage1D');
+exports.usampler2D = createSampler('uvec4', 'usampler2D');
+exports.uimage2D = createSampler('uvec4', 'uimage2D');
+exports.usampler3D = createSampler('uvec4', 'usampler3D');
+exports.uimage3D = createSampler('uvec4', 'uimage3D');
+exports.usamplerCube = createSampler('uvec4', 'usamplerCube');
+exports.uimageCube = createSampler('uvec4', 'uimageCube');
 // exports.usampler2DRect =
 // exports.uimage2DRect =
 // exports.usampler1DArray =
 // exports.uimage1DArray =
-// exports.usampler2DArray =
+exports.usampler2DArray = createSampler('uvec4', 'usampler2DArray');
 // exports.uimage2DArray =
 // exports.usamplerBuffer =
 // exports.uimageBuffer =
@@ -1,6 +1,10 @@
+exports.float = 'int';
 exports.vec2 = 'ivec2';
 exports.vec3 = 'ivec3';
 exports.vec4 = 'ivec4';
 exports.mat2 = 'imat2';
 exports.mat3 = 'imat3';
 exports.mat4 = 'imat4';
+exports.mat2x2 = 'imat2';
+exports.mat3x3 = 'imat3';
+exports.mat4x4 = 'imat4';
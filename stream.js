@@ -42,6 +42,7 @@ GlslJsStream.prototype._transform = function (chunk, enc, cb) {
 	if (typeof chunk === 'string') {
 		//FIXME: there is a problem of invalid input chunks; gotta wait till some sensible thing is accumulated and then parse.
 		var tree = parse(tokenize(chunk));
+		this.compiler.checkTypes(tree);
 		cb(null, this.compiler.process(tree));
 
 		this.tree = tree;
@@ -58,6 +59,7 @@ GlslJsStream.prototype._transform = function (chunk, enc, cb) {
 
 		else {
 			if (chunk.type === 'stmt')	{
+				this.compiler.checkTypes(chunk);
 				cb(null, this.compiler.process(chunk));
 			}
 			else {
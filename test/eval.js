@@ -9,7 +9,7 @@ module.exports = function eval (str, opt, data) {
 
 	opt = opt || {};
 
-	var glsl = GLSL(opt).compiler;
+	var glsl = GLSL(Object.assign({target: 'js'}, opt)).compiler;
 	var debugStr = '';
 
 	//take last statement as a result
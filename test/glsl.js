@@ -0,0 +1,1974 @@
+var test = require('tst');
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var spawnSync = require('child_process').spawnSync;
+var clean = require('cln');
+var Compiler = require('../');
+var parse = require('../lib/parse');
+var compile = Compiler.compile;
+
+
+//warnings, like of the default highp int short of the fixed-point range in GLSL ES 1.00,
+//are asserted by the tests passing own `warn`, others ignore them
+function GLSL (options) {
+	return Compiler(Object.assign({warn: function () {}}, options));
+}
+
+
+test('Fixed-point prelude', function () {
+	test('Include overloads in use', function () {
+		var compiler = GLSL().compiler;
+		var result = compiler.compile(`
+			void main () {
+				gl_Position = vec4(1.0) * 2.0 + vec4(1.0);
+			}
+		`);
+		var prelude = compiler.stringifyPrelude();
+
+		assert.equal(clean(prelude), clean(`
+			#define FIXED_FRACTION_BITS 0
+			#define FIXED_SCALE 1
+			ivec4 my_multiple_ivec4_int (ivec4 a, int b) {
+				return a * b / FIXED_SCALE;
+			}
+			ivec4 my_add_ivec4_ivec4 (ivec4 a, ivec4 b) {
+				return a + b;
+			}
+		`));
+
+		//helpers are defined before use
+		assert.equal(result.indexOf(prelude), 0);
+	});
+
+	test('No prelude without operations', function () {
+		var compiler = GLSL().compiler;
+		compiler.compile(`int x;`);
+		assert.deepEqual(compiler.helpers, {});
+	});
+
+	test('Every operator has scalar, vector and matrix overloads', function () {
+		var prelude = GLSL().compiler.prelude;
+		['my_multiple', 'my_add', 'my_subtract', 'my_divide'].forEach(function (name) {
+			['int_int', 'ivec2_ivec2', 'ivec3_int', 'int_ivec4', 'imat3_imat3', 'imat2_int'].forEach(function (signature) {
+				assert.ok(prelude[name][signature], `${name}.${signature}`);
+			});
+		});
+		assert.ok(prelude.my_multiple.imat4_ivec4);
+		assert.ok(prelude.my_multiple.ivec4_imat4);
+		assert.ok(!prelude.my_add.imat4_ivec4);
+	});
+});
+
+
+test('Fixed-point format', function () {
+	test('Scale float literals', function () {
+		var compiler = GLSL({fixedPoint: {fractionBits: 16}}).compiler;
+		assert.equal(compiler.process(compiler.parse(`
+			x = vec2(0.5, .16632) + vec2(1., 2e2) - vec2(-1.5, 3);
+		`)) + '', 'x = my_subtract_ivec2_ivec2( my_add_ivec2_ivec2( ivec2(32768, 10899), ivec2(65536, 13107200) ), ivec2(-98304, 196608) );');
+	});
+
+	test('Truncate literals without fraction bits', function () {
+		var compiler = GLSL().compiler;
+		assert.equal(compiler.process(compiler.parse(`x = vec2(0.5, 2.75);`)) + '', 'x = ivec2(0, 2);');
+	});
+
+	test('Rescale multiplication and division', function () {
+		var compiler = GLSL().compiler;
+		var prelude = compiler.prelude;
+		assert.equal(clean(prelude.my_multiple.int_int.call(compiler)), clean(`
+			int my_multiple_int_int (int a, int b) {
+				return a * b / FIXED_SCALE;
+			}
+		`));
+		assert.equal(clean(prelude.my_divide.ivec3_int.call(compiler)), clean(`
+			ivec3 my_divide_ivec3_int (ivec3 a, int b) {
+				return a * FIXED_SCALE / b;
+			}
+		`));
+	});
+
+	test('Record scale', function () {
+		var compile = GLSL({fixedPoint: {fractionBits: 8}});
+		var result = compile(`float x = 1.5;`);
+
+		assert.equal(compile.compiler.fixedPoint.scale, 256);
+		assert.ok(/#define FIXED_FRACTION_BITS 8\n#define FIXED_SCALE 256\n/.test(result));
+	});
+
+	test('Clamp out of range values', function () {
+		var warnings = [];
+		var compiler = GLSL({fixedPoint: {fractionBits: 16}, warn: function (message) { warnings.push(message); }}).compiler;
+		assert.equal(compiler.toFixed(1e6), 0x7fffffff);
+		assert.equal(compiler.toFixed(-1e6), -0x7fffffff);
+		assert.deepEqual(warnings, [
+			'Value 1000000 is out of the fixed-point range, clamped.',
+			'Value -1000000 is out of the fixed-point range, clamped.'
+		]);
+	});
+});
+
+
+test('Constants', function () {
+	test('Fold const initializers to fixed-point literals', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			const float PI = 3.14159;
+			const vec2 MOD2 = vec2(.16632,.17369);
+			const float H = PI * .5;
+			const float Q = PI / 3. + sqrt(2.);
+			const vec3 V = MOD2.xyx * 2.;
+			const int N = 4 / 3 + 1;
+			const bool B = N > 1 && H < 2.;
+			void main () {
+				const vec4 c = vec4(V, -PI);
+				gl_FragColor = c;
+			}
+		`);
+
+		assert.ok(/const int PI = 205887;/.test(result));
+		assert.ok(/const ivec2 MOD2 = ivec2\(10899, 11382\);/.test(result));
+		assert.ok(/const int H = 102943;/.test(result));
+		assert.ok(/const int Q = 161310;/.test(result));
+		assert.ok(/const ivec3 V = ivec3\(21799, 22765, 21799\);/.test(result));
+		assert.ok(/const int N = 2;/.test(result));
+		assert.ok(/const bool B = true;/.test(result));
+		assert.ok(/const ivec4 c = ivec4\(21799, 22765, 21799, -205887\);/.test(result));
+		assert.ok(!/my_(multiple|divide|add|sqrt)/.test(result));
+	});
+
+	test('Fold mod of negative operands', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`
+			const float M = mod(-1.5, 1.0);
+			const float N = mod(1.5, -1.0);
+			const vec2 V = mod(vec2(-1.5, 2.5), vec2(1.0, 2.0));
+		`);
+
+		assert.ok(/const int M = 128;/.test(result));
+		assert.ok(/const int N = -128;/.test(result));
+		assert.ok(/const ivec2 V = ivec2\(128, 128\);/.test(result));
+	});
+
+	test('Use folded constants as array sizes and loop bounds', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`
+			const int N = 2 * 2;
+			const float STEP = 1. / float(N);
+			void main () {
+				float a[N];
+				for (int i = 0; i < N; i++) {
+					a[i] = STEP;
+				}
+			}
+		`);
+
+		assert.ok(/const int STEP = 64;/.test(result));
+		assert.ok(/int a\[N\];/.test(result));
+		assert.ok(/for \(int i = 0; i < N; i\+\+\)/.test(result));
+	});
+
+	test('Keep non-constant initializers', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform float u;
+			void main () {
+				float x = 2. * u;
+				const float k = 2. * .5;
+			}
+		`);
+
+		assert.ok(/int x = my_multiple_int_int\( 131072, u \);/.test(result));
+		assert.ok(/const int k = 65536;/.test(result));
+	});
+
+	test('Fold matrices to struct constructors', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			const mat2 M = mat2(1.0, .5, .25, 2.);
+			const vec2 V = M * vec2(1., 2.);
+			const mat3 N = mat3(M) * 2.;
+			void main () {
+				gl_FragColor = vec4(V, N[1].yz);
+			}
+		`);
+
+		assert.ok(/^const imat2 M = imat2\(ivec2\(256, 128\), ivec2\(64, 512\)\);$/m.test(result));
+		assert.ok(/^const ivec2 V = ivec2\(384, 1152\);$/m.test(result));
+		assert.ok(/^const imat3 N = imat3\(ivec3\(512, 256, 0\), ivec3\(128, 1024, 0\), ivec3\(0, 0, 512\)\);$/m.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+		validate(result, 'frag');
+
+		result = GLSL({fixedPoint: {fractionBits: 8}})(`#version 300 es
+			const mat2 M = mat2(1.);
+		`);
+		assert.ok(/^const imat2 M = imat2\(ivec2\[2\]\(ivec2\(256, 0\), ivec2\(0, 256\)\)\);$/m.test(result));
+	});
+
+	test('Declare not folded constants as variables', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`
+			const mat2 M = mat2(1.0, .5, .25, 2.);
+			void main () {
+				const mat2 T = transpose(M);
+			}
+		`);
+
+		assert.ok(/^\timat2 T = my_transpose_imat2\(M\);$/m.test(result));
+
+		//global variables cannot be initialized by helpers
+		assert.throws(function () {
+			GLSL()(`const mat2 M = mat2(1.) * dFdx(1.);`);
+		}, /Const M cannot be folded/);
+	});
+
+	test('Keep float constants without fixed-point', function () {
+		var result = GLSL({fixedPoint: false})(`const float H = 3.14159 * .5;`);
+		assert.ok(/const float H = 3.14159 \* .5;/.test(result));
+	});
+});
+
+
+test('Overflow modes', function () {
+	function prelude (options, src) {
+		var compiler = GLSL(options).compiler;
+		compiler.compile(src);
+		return compiler.stringifyPrelude();
+	}
+
+	test('Wrap by default', function () {
+		assert.equal(clean(prelude({}, `x = vec2(1.0) * 2.0;`)), clean(`
+			#define FIXED_FRACTION_BITS 0
+			#define FIXED_SCALE 1
+			ivec2 my_multiple_ivec2_int (ivec2 a, int b) {
+				return a * b / FIXED_SCALE;
+			}
+		`));
+	});
+
+	test('Saturate', function () {
+		var result = prelude({overflow: 'saturate', fixedPoint: {fractionBits: 16}}, `x = vec2(1.0) + 2.0 * 3.0;`);
+
+		assert.ok(/int my_multiple_int_int \(int a, int b\) {[^]*if \(high > 131071\) return negative \? -2147483647 : 2147483647;/.test(result));
+		assert.ok(result.indexOf(`int my_add_int_int (int a, int b) {
+	if (b > 0 && a > 2147483647 - b) return 2147483647;
+	if (b < 0 && a < -2147483647 - b) return -2147483647;
+	return a + b;
+}`) >= 0);
+
+		//scalar overload goes before the vector one calling it
+		assert.ok(result.indexOf('int my_add_int_int (int a, int b)') < result.indexOf('ivec2 my_add_ivec2_int (ivec2 a, int b)'));
+		assert.ok(result.indexOf(`ivec2 my_add_ivec2_int (ivec2 a, int b) {
+	return ivec2(my_add_int_int(a.x, b), my_add_int_int(a.y, b));
+}`) >= 0);
+	});
+
+	test('Split', function () {
+		var result = prelude({overflow: 'split', fixedPoint: {fractionBits: 8}}, `x = (1.0 + 2.0) * 3.0 / 4.0;`);
+
+		assert.ok(/int my_add_int_int \(int a, int b\) {\n\treturn a \+ b;\n}/.test(result));
+		assert.ok(/int my_multiple_int_int \(int a, int b\) {[^]*int result = high \* 4194304 \+/.test(result));
+		assert.ok(/int my_divide_int_int \(int a, int b\) {[^]*for \(int i = 0; i < FIXED_FRACTION_BITS; i\+\+\)/.test(result));
+	});
+
+	test('Matrix products', function () {
+		var compiler = GLSL({overflow: 'split'}).compiler;
+		var prelude = compiler.prelude;
+		assert.equal(prelude.my_multiple.imat2_ivec2.call(compiler), `ivec2 my_multiple_imat2_ivec2 (imat2 a, ivec2 b) {
+	return my_add_ivec2_ivec2(my_multiple_ivec2_int(a.c0, b.x), my_multiple_ivec2_int(a.c1, b.y));
+}`);
+		assert.deepEqual(prelude.my_multiple.imat2_ivec2.include.call(compiler), ['my_multiple.ivec2_int', 'my_add.ivec2_ivec2', 'imat2.struct']);
+		assert.equal(prelude.my_multiple.imat3_imat3.call(compiler), `imat3 my_multiple_imat3_imat3 (imat3 a, imat3 b) {
+	return my_imat3_ivec3_ivec3_ivec3(my_multiple_imat3_ivec3(a, b.c0), my_multiple_imat3_ivec3(a, b.c1), my_multiple_imat3_ivec3(a, b.c2));
+}`);
+	});
+
+	test('Unknown mode', function () {
+		assert.throws(function () {
+			GLSL({overflow: 'clamp'});
+		});
+	});
+});
+
+
+test('Rounding modes', function () {
+	function prelude (options, src) {
+		var compiler = GLSL(options).compiler;
+		compiler.compile(src);
+		return compiler.stringifyPrelude();
+	}
+
+	test('Round scaled literals', function () {
+		function literals (rounding) {
+			var compiler = GLSL({rounding: rounding}).compiler;
+			return [2.5, -2.5, 3.5, -0.7].map(compiler.toFixed, compiler);
+		}
+
+		assert.deepEqual(literals(null), [2, -2, 3, 0]);
+		assert.deepEqual(literals('truncate'), [2, -2, 3, 0]);
+		assert.deepEqual(literals('floor'), [2, -3, 3, -1]);
+		assert.deepEqual(literals('round-half-up'), [3, -2, 4, -1]);
+		assert.deepEqual(literals('round-half-even'), [2, -2, 4, -1]);
+
+		var result = GLSL({rounding: 'round-half-up', fixedPoint: {fractionBits: 1}})(`vec2 x = vec2(0.75, -1.25);`);
+		assert.ok(/ivec2 x = ivec2\(2, -2\);/.test(result));
+	});
+
+	test('Keep native division by default', function () {
+		var result = prelude({}, `x = vec2(1.0) * 2.0;`);
+		assert.ok(/return a \* b \/ FIXED_SCALE;/.test(result));
+		assert.ok(!/my_signed_divide/.test(result));
+	});
+
+	test('Divide magnitudes portably', function () {
+		var result = prelude({rounding: 'truncate'}, `x = vec2(1.0) * 2.0 / 3.0;`);
+
+		assert.ok(result.indexOf(`int my_signed_divide_int_int (int a, int b) {
+	bool negative = (a < 0) != (b < 0);
+	int n = a < 0 ? -a : a;
+	int d = b < 0 ? -b : b;
+	if (d == 0) return negative ? -2147483647 : 2147483647;
+
+	int q = n / d;
+	int r = n - q * d;
+	return negative ? -q : q;
+}`) >= 0);
+		assert.ok(/int my_multiple_int_int \(int a, int b\) {\n\treturn my_signed_divide_int_int\(a \* b, FIXED_SCALE\);\n}/.test(result));
+		assert.ok(/int my_divide_int_int \(int a, int b\) {\n\treturn my_signed_divide_int_int\(a \* FIXED_SCALE, b\);\n}/.test(result));
+		assert.ok(/ivec2 my_multiple_ivec2_int \(ivec2 a, int b\) {\n\treturn ivec2\(my_multiple_int_int\(a\.x, b\), my_multiple_int_int\(a\.y, b\)\);\n}/.test(result));
+
+		//helpers are defined before use
+		assert.ok(result.indexOf('int my_signed_divide_int_int') < result.indexOf('int my_multiple_int_int'));
+	});
+
+	test('Round quotients by the remainder', function () {
+		assert.ok(/int r = n - q \* d;\n\tif \(negative && r > 0\) q \+= 1;/.test(prelude({rounding: 'floor'}, `x = 1.0 / 3.0;`)));
+		assert.ok(/if \(negative \? r > d - r : r >= d - r\) q \+= 1;/.test(prelude({rounding: 'round-half-up'}, `x = 1.0 / 3.0;`)));
+		assert.ok(/if \(r > d - r \|\| r == d - r && q - q \/ 2 \* 2 == 1\) q \+= 1;/.test(prelude({rounding: 'round-half-even'}, `x = 1.0 / 3.0;`)));
+	});
+
+	test('Round split operations', function () {
+		var result = prelude({rounding: 'round-half-even', overflow: 'split', fixedPoint: {fractionBits: 8}}, `x = 3.0 * 4.0 / 5.0;`);
+
+		assert.ok(/int rest = [^]*int result = high \* 4194304 \+ rest \/ FIXED_SCALE;\n\tint r = rest - rest \/ FIXED_SCALE \* FIXED_SCALE;\n\tif \(r > FIXED_SCALE - r \|\| r == FIXED_SCALE - r && result - result \/ 2 \* 2 == 1\) result \+= 1;/.test(result));
+		assert.ok(/int my_divide_int_int \(int a, int b\) {[^]*\n\t}\n\tif \(r > d - r \|\| r == d - r && q - q \/ 2 \* 2 == 1\) q \+= 1;\n\treturn negative \? -q : q;/.test(result));
+	});
+
+	test('Unknown mode', function () {
+		assert.throws(function () {
+			GLSL({rounding: 'nearest'});
+		});
+	});
+});
+
+
+test('Builtins', function () {
+	test('Redirect calls to fixed-point builtins', function () {
+		var compiler = GLSL().compiler;
+		var result = compiler.compile(`x = sqrt(2.0) + clamp(vec3(1.0), 0.0, 1.0).x;`);
+
+		assert.ok(/x = my_add_int_int\( my_sqrt_int\(2\), my_clamp_ivec3_int_int\(ivec3\(1\), 0, 1\)\.x \);/.test(result));
+		assert.deepEqual(compiler.helpers.my_sqrt, {int: true});
+		assert.deepEqual(compiler.helpers.my_clamp, {ivec3_int_int: true});
+
+		//float math of stdlib is not included
+		assert.ok(!/function sqrt|function clamp/.test(result));
+	});
+
+	test('Keep builtins of integers native', function () {
+		var result = GLSL()(`#version 300 es
+			uniform int k;
+			uniform uint u;
+			uniform highp isampler2D s;
+			void main () {
+				int a = sign(k) + abs(k);
+				uint b = min(u, 3u);
+				ivec4 c = texelFetch(s, ivec2(k), 0);
+				float d = sign(float(k));
+			}
+		`);
+
+		assert.ok(/int a = sign\(k\) \+ abs\(k\);/.test(result));
+		assert.ok(/uint b = min\(u, 3u\);/.test(result));
+		assert.ok(/ivec4 c = texelFetch\(s, ivec2\(k\), 0\);/.test(result));
+		assert.ok(/int d = my_sign_int\(my_float_int\(k\)\);/.test(result));
+	});
+
+	test('Every builtin has scalar and vector overloads', function () {
+		var compiler = GLSL().compiler;
+		var prelude = compiler.prelude;
+		['sin', 'atan', 'pow', 'exp', 'sqrt', 'floor', 'mod', 'clamp', 'mix', 'smoothstep', 'length', 'dot', 'normalize', 'reflect'].forEach(function (name) {
+			var helper = compiler.callchanges[name];
+			assert.equal(helper, 'my_' + name);
+			assert.ok(Object.keys(prelude[helper]).some(function (signature) { return /^int(_int)*$/.test(signature); }), name);
+			assert.ok(Object.keys(prelude[helper]).some(function (signature) { return /ivec3/.test(signature); }), name);
+		});
+		assert.ok(prelude.my_atan.int && prelude.my_atan.int_int);
+		assert.ok(prelude.my_mod.ivec2_int && prelude.my_step.int_ivec4 && prelude.my_cross.ivec3_ivec3);
+	});
+
+	test('Step of scalar edges returns the type of x', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			uniform vec3 v;
+			void main () {
+				vec3 a = step(0.5, v) + v;
+				vec3 b = smoothstep(0., 1., v) * 2.;
+				gl_FragColor = vec4(a + b, smoothstep(0., 1., v.x) - step(.5, v.y));
+			}
+		`);
+
+		assert.ok(/ivec3 a = my_add_ivec3_ivec3\( my_step_int_ivec3\(128, v\), v \);/.test(result));
+		assert.ok(/ivec3 b = my_multiple_ivec3_int\( my_smoothstep_int_int_ivec3\(0, 256, v\), 512 \);/.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+		validate(result, 'frag');
+	});
+
+	test('Componentwise vector overloads', function () {
+		var compiler = GLSL().compiler;
+		assert.equal(compiler.prelude.my_clamp.ivec3_int_int.call(compiler), `ivec3 my_clamp_ivec3_int_int (ivec3 a, int b, int c) {
+	return ivec3(my_clamp_int_int_int(a.x, b, c), my_clamp_int_int_int(a.y, b, c), my_clamp_int_int_int(a.z, b, c));
+}`);
+		assert.deepEqual(compiler.prelude.my_clamp.ivec3_int_int.include.call(compiler), ['my_clamp.int_int_int']);
+	});
+
+	test('Geometric functions on helpers', function () {
+		var compiler = GLSL().compiler;
+		compiler.compile(`x = normalize(vec3(1.0));`);
+		var prelude = compiler.stringifyPrelude();
+
+		assert.ok(prelude.indexOf(`int my_dot_ivec3_ivec3 (ivec3 a, ivec3 b) {
+	return my_add_int_int(my_add_int_int(my_multiple_int_int(a.x, b.x), my_multiple_int_int(a.y, b.y)), my_multiple_int_int(a.z, b.z));
+}`) >= 0);
+		assert.ok(prelude.indexOf(`ivec3 my_normalize_ivec3 (ivec3 a) {
+	return my_divide_ivec3_int(a, my_length_ivec3(a));
+}`) >= 0);
+		assert.ok(prelude.indexOf('int my_sqrt_int (int a)') < prelude.indexOf('int my_length_ivec3 (ivec3 a)'));
+	});
+
+	test('Transcendental constants follow the format', function () {
+		var compiler = GLSL({fixedPoint: {fractionBits: 16}}).compiler;
+		compiler.compile(`x = exp(1.0) + sin(1.0);`);
+		var prelude = compiler.stringifyPrelude();
+
+		assert.ok(/int my_exp_int \(int a\) {\n\treturn my_exp2_int\(my_split_multiple_int_int\(a, 94548\)\);/.test(prelude));
+		assert.ok(/result = my_split_multiple_int_int\(result, 92682\);/.test(prelude));
+
+		//CORDIC iteration per fraction bit, with PI/4 the first angle
+		assert.ok(/ivec2 my_cordic_int \(int a\) {[^]*int x = 39797;[^]*z -= 51472;/.test(prelude));
+		assert.equal(prelude.match(/t = x - y \/ /g).length, 17);
+	});
+
+	test('Texture lookups scale the color', function () {
+		var compiler = GLSL().compiler;
+		assert.equal(compiler.prelude.my_texture2D.sampler2D_ivec2_int.call(compiler), `ivec4 my_texture2D_sampler2D_ivec2_int (sampler2D a, ivec2 b, int c) {
+	return ivec4(texture2D(a, vec2(b) / float(FIXED_SCALE), float(c) / float(FIXED_SCALE)) * float(FIXED_SCALE));
+}`);
+	});
+
+	test('Derivatives of float values', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`#version 300 es
+			precision highp float;
+			in vec2 uv;
+			out vec4 color;
+			void main () {
+				float h = uv.x * 2.0;
+				color = vec4(dFdx(h), dFdy(uv), fwidth(h));
+			}
+		`);
+
+		assert.ok(/fixed_color = ivec4\(my_dFdx_int\(h\), my_dFdy_ivec2\(uv\), my_fwidth_int\(h\)\);/.test(result));
+		assert.ok(result.indexOf(`ivec2 my_dFdy_ivec2 (ivec2 a) {
+	return ivec2(dFdy(vec2(a) / float(FIXED_SCALE)) * float(FIXED_SCALE));
+}`) >= 0);
+		assert.ok(/int my_fwidth_int \(int a\) {\n\treturn int\(fwidth\(float\(a\) \/ float\(FIXED_SCALE\)\) \* float\(FIXED_SCALE\)\);/.test(result));
+		validate(result, 'frag');
+	});
+});
+
+
+test('Operator lowering', function () {
+	function process (src) {
+		var compiler = GLSL().compiler;
+		return compiler.process(compiler.parse(src)).split('\n').map(function (line) {
+			return line.trim();
+		});
+	}
+
+	test('Keep integer arithmetic native', function () {
+		var result = process(`
+			int i = 2;
+			float a[4];
+			a[i + 1] = a[i - 1] * 2.0;
+		`);
+
+		assert.equal(result[0], 'int i = 2;');
+		assert.equal(result[1], 'int a[4];');
+		assert.equal(result[2], 'a[i + 1] = my_multiple_int_int( a[i - 1], 2 );');
+	});
+
+	test('Name helpers after operand types', function () {
+		var result = process(`
+			vec3 v;
+			vec4 c;
+			mat3 m;
+			v = m * v * 2.0;
+			m = m * m;
+			c.xy = c.zw / c.x;
+		`);
+
+		assert.equal(result[3], 'v = my_multiple_ivec3_int( my_multiple_imat3_ivec3( m, v ), 2 );');
+		assert.equal(result[4], 'm = my_multiple_imat3_imat3( m, m );');
+		assert.equal(result[5], 'c.xy = my_divide_ivec2_int( c.zw, c.x );');
+	});
+
+	test('No overloaded helpers', function () {
+		var compiler = GLSL().compiler;
+		compiler.compile(`
+			vec3 v;
+			mat3 m;
+			v = normalize(m * v + v * 2.0) - vec3(1.0) * length(v);
+		`);
+		var names = compiler.stringifyPrelude().match(/^\w+ \w+(?= \()/gm);
+
+		assert.ok(names.length > 5);
+		names.forEach(function (name, i) {
+			assert.equal(names.indexOf(name), i, name);
+		});
+	});
+
+	test('Expand compound assignments', function () {
+		var result = process(`
+			mat4 mProj;
+			vec4 position;
+			vec2 uScreenSize, xy, uv;
+			int i;
+			mProj += mProj;
+			position.x *= uScreenSize.y / uScreenSize.x;
+			xy.xy *= uv.yx;
+			position -= 1.0;
+			i += 2;
+		`);
+
+		assert.equal(result[4], 'mProj = my_add_imat4_imat4( mProj, mProj );');
+		assert.equal(result[5], 'position.x = my_multiple_int_int( position.x, my_divide_int_int( uScreenSize.y, uScreenSize.x ) );');
+		assert.equal(result[6], 'xy.xy = my_multiple_ivec2_ivec2( xy.xy, uv.yx );');
+		assert.equal(result[7], 'position = my_subtract_ivec4_int( position, 1 );');
+		assert.equal(result[8], 'i += 2;');
+	});
+
+	test('Keep native compound step of float loop counter', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`
+			void main () {
+				for (float f = 0.0; f < 1.0; f += 0.25) {}
+				for (float f = 1.0; f > 0.0; f -= 1) {}
+			}
+		`);
+		assert.ok(/for \(int f = 0; f < 256; f \+= 64\)/.test(result));
+		assert.ok(/for \(int f = 256; f > 0; f -= 256\)/.test(result));
+		assert.ok(!/my_add|my_subtract/.test(result));
+
+		//saturated additions are helpers
+		result = GLSL({fixedPoint: {fractionBits: 8}, overflow: 'saturate'})(`
+			void main () {
+				for (float f = 0.0; f < 1.0; f += 0.25) {}
+			}
+		`);
+		assert.ok(/f = my_add_int_int\( f, 64 \)\)/.test(result));
+	});
+
+	test('Reject compound assignments to lvalues with side effects', function () {
+		assert.throws(function () {
+			GLSL()(`
+				float a[2];
+				int i;
+				void main () {
+					a[i++] += 1.0;
+				}
+			`);
+		}, /Compound assignment to an lvalue with side effects is not supported in fixed-point: a\[i\+\+\] \+= 1/);
+
+		assert.throws(function () {
+			GLSL()(`
+				vec2 a[2];
+				int f (int i) { return i; }
+				void main () {
+					a[f(1)].x *= 2.;
+				}
+			`);
+		}, /lvalue with side effects/);
+
+		//builtins and casts in the index are evaluated twice harmlessly
+		var result = GLSL()(`
+			float a[2];
+			void main () {
+				a[int(a[0])] += 1.0;
+			}
+		`);
+		assert.ok(/a\[my_int_int\(a\[0\]\)\] = my_add_int_int\( a\[my_int_int\(a\[0\]\)\], 1 \);/.test(result));
+	});
+
+	test('Keep native increment step of float loop counter', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`
+			void main () {
+				for (float g = 0.0; g < 2.0; g++) {}
+				for (float g = 2.0; g > 0.0; --g) {}
+			}
+		`);
+		assert.ok(/for \(int g = 0; g < 512; g \+= FIXED_SCALE\)/.test(result));
+		assert.ok(/for \(int g = 512; g > 0; g -= FIXED_SCALE\)/.test(result));
+		assert.ok(!/my_add|my_subtract/.test(result));
+
+		result = GLSL({fixedPoint: {fractionBits: 8}, overflow: 'saturate'})(`
+			void main () {
+				for (float g = 0.0; g < 2.0; g++) {}
+			}
+		`);
+		assert.ok(/g = my_add_int_int\( g, FIXED_SCALE \)\)/.test(result));
+	});
+
+	test('Reject increments of lvalues with side effects', function () {
+		assert.throws(function () {
+			GLSL()(`
+				vec2 a[2];
+				int i;
+				void main () {
+					a[i++].x++;
+				}
+			`);
+		}, /Increment of an lvalue with side effects is not supported in fixed-point: a\[i\+\+\]\.x\+\+/);
+
+		assert.throws(function () {
+			GLSL()(`
+				float a[2];
+				int i;
+				void main () {
+					float x = ++a[i++];
+				}
+			`);
+		}, /lvalue with side effects/);
+	});
+
+	test('Increment by the scaled one', function () {
+		var result = process(`
+			float x, y;
+			vec2 v;
+			int i;
+			x++;
+			--v;
+			i++;
+			y = x-- + ++x;
+			v.y = -v.x;
+		`);
+
+		assert.equal(result[3], 'x = my_add_int_int( x, FIXED_SCALE );');
+		assert.equal(result[4], 'v = my_subtract_ivec2_int( v, FIXED_SCALE );');
+		assert.equal(result[5], 'i++;');
+		assert.equal(result[6], 'y = my_add_int_int( my_add_int_int( (x = my_subtract_int_int( x, FIXED_SCALE )), FIXED_SCALE ), (x = my_add_int_int( x, FIXED_SCALE )) );');
+		assert.equal(result[7], 'v.y = -v.x;');
+	});
+});
+
+
+test('Relational operators', function () {
+	function process (src) {
+		var compiler = GLSL({fixedPoint: {fractionBits: 16}}).compiler;
+		return compiler.process(compiler.parse(src)).split('\n').map(function (line) {
+			return line.trim();
+		});
+	}
+
+	test('Rescale int operands', function () {
+		var result = process(`
+			float x;
+			int i;
+			b = x < 1 && x >= -2 && x > i + 1 && i < 2;
+			x += 2;
+		`);
+
+		assert.equal(result[2], 'b = x < 65536 && x >= -131072 && x > (i + 1) * FIXED_SCALE && i < 2;');
+		assert.equal(result[3], 'x = my_add_int_int( x, 131072 );');
+	});
+
+	test('Vector equality', function () {
+		var result = process(`
+			vec2 a, b;
+			ivec3 c;
+			x = a == b || a != b.yx || c == ivec3(1) || a.x == 0.5;
+		`);
+
+		assert.equal(result[2], 'x = all(equal(a, b)) || any(notEqual(a, b.yx)) || all(equal(c, ivec3(1))) || a.x == 32768;');
+	});
+
+	test('Coerce vector operands', function () {
+		var warnings = [];
+		var compiler = GLSL({fixedPoint: {fractionBits: 16}, warn: function (message) { warnings.push(message); }}).compiler;
+		var result = compiler.process(compiler.parse(`
+			vec2 fragTexCoord;
+			vec3 vertNormal;
+			x = fragTexCoord == vertNormal || fragTexCoord.y < 0.0 || vertNormal != 1.0;
+		`)).split('\n').map(function (line) {
+			return line.trim();
+		});
+
+		assert.equal(result[2], 'x = all(equal(fragTexCoord, vertNormal.xy)) || fragTexCoord.y < 0 || any(notEqual(vertNormal, ivec3(65536)));');
+		assert.deepEqual(warnings, ['Cannot compare vec2 with vec3, only first components are compared.']);
+	});
+});
+
+
+test('Interface bridging', function () {
+	test('Keep float interface of vertex shader', function () {
+		var compile = GLSL({uniform: 'float', attribute: 'float', varying: 'float'});
+		var result = compile(`
+			uniform vec4 color;
+			uniform vec3 lights[4];
+			uniform int count;
+			attribute vec2 position;
+			varying vec2 uv;
+			void main () {
+				uv = position + lights[1].xy;
+				gl_Position = vec4(position, 0.0, 1.0) * color;
+			}
+		`);
+
+		assert.ok(result.indexOf(`uniform vec4 color;
+ivec4 fixed_color;
+uniform vec3 lights[4];
+ivec3 fixed_lights[4];
+uniform int count;
+attribute vec2 position;
+ivec2 fixed_position;
+varying vec2 uv;
+ivec2 fixed_uv;`) >= 0);
+		assert.ok(/fixed_uv = my_add_ivec2_ivec2\( fixed_position, fixed_lights\[1\]\.xy \);/.test(result));
+		assert.ok(/fixed_gl_Position = my_multiple_ivec4_ivec4\(/.test(result));
+
+		assert.ok(result.indexOf(`void main () {
+	fixed_color = ivec4(color * float(FIXED_SCALE));
+	for (int i = 0; i < 4; i++) fixed_lights[i] = ivec3(lights[i] * float(FIXED_SCALE));
+	fixed_position = ivec2(position * float(FIXED_SCALE));
+	fixed_main();
+	uv = vec2(fixed_uv) / float(FIXED_SCALE);
+	gl_Position = vec4(fixed_gl_Position) / float(FIXED_SCALE);
+}`) >= 0);
+
+		assert.equal(compile.compiler.uniforms.color.bridge, 'fixed_color');
+		assert.equal(compile.compiler.uniforms.count.bridge, null);
+	});
+
+	test('Convert varyings of fragment shader on input', function () {
+		var result = GLSL({varying: 'float'})(`
+			varying vec2 uv;
+			void main () {
+				gl_FragColor = vec4(uv, gl_FragCoord.xy);
+			}
+		`);
+
+		assert.ok(/^ivec4 fixed_gl_FragCoord;\nivec4 fixed_gl_FragColor;\nvarying vec2 uv;\nivec2 fixed_uv;$/m.test(result));
+		assert.ok(result.indexOf(`void main () {
+	fixed_uv = ivec2(uv * float(FIXED_SCALE));
+	fixed_gl_FragCoord = ivec4(gl_FragCoord * float(FIXED_SCALE));
+	fixed_main();
+	gl_FragColor = vec4(fixed_gl_FragColor) / float(FIXED_SCALE);
+}`) >= 0);
+	});
+
+	test('Convert interface by default', function () {
+		var compile = GLSL();
+		var result = compile(`
+			uniform vec4 color;
+			void main () {
+				gl_FragData[0] = color;
+			}
+		`);
+
+		assert.ok(/^uniform ivec4 color;$/m.test(result));
+		assert.ok(/^ivec4 fixed_gl_FragData\[gl_MaxDrawBuffers\];$/m.test(result));
+		assert.ok(/fixed_gl_FragData\[0\] = color;/.test(result));
+		assert.ok(/for \(int i = 0; i < gl_MaxDrawBuffers; i\+\+\) gl_FragData\[i\] = vec4\(fixed_gl_FragData\[i\]\) \/ float\(FIXED_SCALE\);/.test(result));
+		assert.equal(compile.compiler.uniforms.color.bridge, null);
+	});
+});
+
+
+test('Interface reflection', function () {
+	test('Collect storage-qualified declarations', function () {
+		var warnings = [];
+		var compile = GLSL({fixedPoint: {fractionBits: 16}, warn: function (message) { warnings.push(message); }});
+		compile(`
+			precision mediump float;
+			uniform highp vec3 lights[4], ambient;
+			uniform int count;
+			attribute vec2 position;
+			varying lowp vec4 color;
+			void main () {
+				vec2 local = position;
+				color = vec4(lights[0] + ambient, float(count));
+			}
+		`);
+
+		assert.deepEqual(compile.compiler.uniforms.lights, {
+			id: 'lights',
+			scope: 'global',
+			type: 'vec3',
+			convertedType: 'ivec3',
+			dimensions: [4],
+			binding: 'uniform',
+			precision: 'highp',
+			scale: 65536,
+			bridge: null
+		});
+		assert.deepEqual(compile.compiler.uniforms.ambient.dimensions, []);
+		assert.equal(compile.compiler.uniforms.count.convertedType, 'int');
+		assert.equal(compile.compiler.uniforms.count.scale, 1);
+		assert.equal(compile.compiler.attributes.position.convertedType, 'ivec2');
+		assert.equal(compile.compiler.varyings.color.precision, 'lowp');
+		assert.deepEqual(Object.keys(compile.compiler.attributes), ['position']);
+		assert.equal(compile.compiler.attributes.local, undefined);
+		assert.deepEqual(warnings, [
+			"'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 16 fraction bits are limited to ±1.",
+			"'lowp int' guarantees ±2^8 in GLSL ES 1.00, fixed-point values with 16 fraction bits are limited to ±0.00390625."
+		]);
+	});
+
+	test('Bridged declarations keep float type', function () {
+		var compile = GLSL({attribute: 'float'});
+		compile(`
+			attribute vec2 position;
+			void main () {
+				gl_Position = vec4(position, 0., 1.);
+			}
+		`);
+
+		assert.equal(compile.compiler.attributes.position.convertedType, 'vec2');
+		assert.equal(compile.compiler.attributes.position.scale, 1);
+		assert.equal(compile.compiler.attributes.position.bridge, 'fixed_position');
+	});
+});
+
+
+test('Scopes', function () {
+	test('Register globals, arguments and locals', function () {
+		var compile = GLSL();
+		var result = compile(`
+			uniform vec2 offset;
+			float scale (float x) {
+				float y = x * 2.;
+				return y;
+			}
+		`);
+
+		assert.ok(/int y = my_multiple_int_int\( x, 2 \);/.test(result));
+		assert.equal(compile.compiler.scopes.global.offset.type, 'vec2');
+		assert.equal(compile.compiler.scopes.scale.x.type, 'float');
+		assert.equal(compile.compiler.scopes.scale.y.type, 'float');
+		assert.equal(compile.compiler.scopes.scale.__parentScope, compile.compiler.scopes.global);
+	});
+
+	test('Shadow variables in nested blocks', function () {
+		var compile = GLSL();
+		var result = compile(`
+			float a;
+			void main () {
+				a = a * 2.;
+				{
+					int a = 1;
+					a = a * 2;
+				}
+				for (int a = 0; a < 2; a++) {
+					vec2 a = vec2(1.);
+					a = a * 2.;
+				}
+				a = a * 2.;
+			}
+		`);
+
+		var scopes = compile.compiler.scopes;
+		assert.equal(scopes['main.1'].a.type, 'int');
+		assert.equal(scopes['main.2'].a.type, 'int');
+		assert.equal(scopes['main.2.1'].a.type, 'vec2');
+		assert.equal(scopes['main.2.1'].__parentScope, scopes['main.2']);
+		assert.equal(scopes.main.a, undefined);
+
+		assert.ok(/{\n\t\tint a = 1;\n\t\ta = a \* 2;\n\t}/.test(result));
+		assert.ok(/a = my_multiple_ivec2_int\( a, 2 \);/.test(result));
+		assert.equal(result.match(/a = my_multiple_int_int\( a, 2 \);/g).length, 2);
+	});
+
+	test('Initializer refers to the outer variable', function () {
+		var compile = GLSL();
+		var result = compile(`
+			int a;
+			void main () {
+				float a = a * 2.;
+			}
+		`);
+
+		assert.ok(/int a = my_multiple_int_int\( a \* FIXED_SCALE, 2 \);/.test(result));
+	});
+});
+
+
+test('Function overloads', function () {
+	test('Call overload by argument types', function () {
+		var compile = GLSL();
+		var result = compile(`
+			float f (float a) {
+				return a * 2.;
+			}
+			vec2 f (vec2 a) {
+				return a * 3.;
+			}
+			float g (float a) {
+				return a;
+			}
+			void main () {
+				vec2 v = f(vec2(1., 2.));
+				float x = g(f(v.x));
+			}
+		`);
+
+		assert.ok(/^int f_float \(int a\) {$/m.test(result));
+		assert.ok(/^ivec2 f_vec2 \(ivec2 a\) {$/m.test(result));
+		assert.ok(/^int g \(int a\) {$/m.test(result));
+		assert.ok(/ivec2 v = f_vec2\(/.test(result));
+		assert.ok(/int x = g\(f_float\(v\.x\)\);/.test(result));
+		assert.equal(compile.compiler.scopes.f_float.a.type, 'float');
+		assert.equal(compile.compiler.scopes.f_vec2.a.type, 'vec2');
+		assert.equal(compile.compiler.scopes.f, undefined);
+	});
+
+	test('Avoid collisions with declared names', function () {
+		var result = GLSL()(`
+			float f (float a) {
+				return a;
+			}
+			float f (int a) {
+				return float(a);
+			}
+			float f_float (float a) {
+				return a;
+			}
+			void main () {
+				float x = f(1.) + f_float(2.);
+			}
+		`);
+
+		assert.ok(/^int f_float_1 \(int a\) {$/m.test(result));
+		assert.ok(/^int f_int \(int a\) {$/m.test(result));
+		assert.ok(/^int f_float \(int a\) {$/m.test(result));
+		assert.ok(/my_add_int_int\( f_float_1\(1\), f_float\(2\) \)/.test(result));
+	});
+
+	test('Return type of the resolved overload', function () {
+		var result = GLSL()(`
+			int h (float a) {
+				return int(a);
+			}
+			float h (int a) {
+				return float(a);
+			}
+			void main () {
+				float x = h(1) * 2.;
+				int y = h(1.) * 2;
+			}
+		`);
+
+		assert.ok(/int x = my_multiple_int_int\( h_int\(1\), 2 \);/.test(result));
+		assert.ok(/int y = h_float\(1\) \* 2;/.test(result));
+	});
+
+	test('Prototypes and parameter qualifiers', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			vec3 g (inout vec3 v, const in int n);
+			highp float f (in float x, out vec2 y[2]);
+			void main () {
+				vec2 y[2];
+				vec3 v = g(vec3(1.), 2) * f(.5, y);
+			}
+			vec3 g (inout vec3 v, const in int n) {
+				v *= float(n);
+				return v;
+			}
+			highp float f (in float x, out vec2 y[2]) {
+				y[0] = y[1] = vec2(x);
+				return x;
+			}
+		`);
+
+		var lines = result.split('\n');
+		var prototypes = [
+			'ivec3 g (inout ivec3 v, const in int n);',
+			'highp int f (in int x, out ivec2 y[2]);'
+		];
+		assert.deepEqual(lines.filter(function (line) { return /\);$/.test(line) && !/^\s/.test(line); }), prototypes);
+		assert.ok(lines.indexOf(prototypes[1]) < lines.indexOf('void main () {'));
+		assert.ok(lines.indexOf('ivec3 g (inout ivec3 v, const in int n) {') > lines.indexOf('void main () {'));
+		assert.ok(/^highp int f \(in int x, out ivec2 y\[2\]\) {$/m.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+	});
+});
+
+
+test('Control flow', function () {
+	var src = `
+		float f (float x) {
+			if (x < 0.) return -x;
+			else if (x > 1.) { return 1.; }
+			else x *= 2.;
+			for (int i = 0; i < 4; i++) { if (i == 2) continue; if (i == 3) break; }
+			while (x > 10.) x -= 1.;
+			do x += .1; while (x < 0.);
+			if (x > 2.) { }
+			return x;
+		}
+		void main () {
+			if (gl_FragCoord.x > 1.) discard;
+			gl_FragColor = vec4(f(gl_FragCoord.y));
+		}
+	`;
+
+	test('Render statements as GLSL', function () {
+		assert.equal(GLSL({fixedPoint: false})(src), [
+			'float f (float x) {',
+			'	if (x < 0.) {',
+			'		return -x;',
+			'	} else if (x > 1.) {',
+			'		return 1.;',
+			'	} else {',
+			'		x *= 2.;',
+			'	}',
+			'	for (int i = 0; i < 4; i++) {',
+			'		if (i == 2) {',
+			'			continue;',
+			'		}',
+			'		if (i == 3) {',
+			'			break;',
+			'		}',
+			'	}',
+			'	while (x > 10.) {',
+			'		x -= 1.;',
+			'	}',
+			'	do {',
+			'		x += .1;',
+			'	} while (x < 0.);',
+			'	if (x > 2.) {',
+			'	}',
+			'	return x;',
+			'}',
+			'void main () {',
+			'	if (gl_FragCoord.x > 1.) {',
+			'		discard;',
+			'	}',
+			'	gl_FragColor = vec4(f(gl_FragCoord.y));',
+			'}'
+		].join('\n'));
+	});
+
+	test('Parse the converted output back', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(src);
+		assert.doesNotThrow(function () {
+			parse(result);
+		});
+	});
+});
+
+
+test('Structures', function () {
+	test('Emit definitions with converted fields', function () {
+		var compile = GLSL();
+		var result = compile(`
+			struct Light {
+				vec3 pos;
+				float k[2], m;
+				int id;
+			};
+			struct Scene {
+				Light lights[2];
+				bool on;
+			} scene;
+			void main () {}
+		`);
+
+		assert.ok(result.indexOf(`struct Light {
+	ivec3 pos;
+	int k[2], m;
+	int id;
+};
+struct Scene {
+	Light lights[2];
+	bool on;
+} scene;`) >= 0);
+		assert.deepEqual(compile.compiler.structs.Light.fields.k, {type: 'float', dimensions: [2]});
+		assert.equal(compile.compiler.scopes.global.scene.type, 'Scene');
+	});
+
+	test('Lower arithmetic on fields', function () {
+		var result = GLSL()(`
+			struct Light {
+				vec3 pos;
+				float k[2];
+			};
+			struct Scene {
+				Light lights[2];
+			};
+			uniform Scene scene;
+			void main () {
+				Light l = Light(scene.lights[1].pos, scene.lights[0].k);
+				l.k[1] *= 2.;
+				l.pos.x = l.pos.y + l.k[0];
+				vec3 p = scene.lights[1].pos - l.pos;
+			}
+		`);
+
+		assert.ok(/Light l = Light\(scene\.lights\[1\]\.pos, scene\.lights\[0\]\.k\);/.test(result));
+		assert.ok(/l\.k\[1\] = my_multiple_int_int\( l\.k\[1\], 2 \);/.test(result));
+		assert.ok(/l\.pos\.x = my_add_int_int\( l\.pos\.y, l\.k\[0\] \);/.test(result));
+		assert.ok(/ivec3 p = my_subtract_ivec3_ivec3\( scene\.lights\[1\]\.pos, l\.pos \);/.test(result));
+	});
+
+	test('Report scales of struct uniform fields', function () {
+		var compile = GLSL({fixedPoint: {fractionBits: 8}});
+		compile(`
+			struct Light {
+				vec3 pos;
+				int id;
+			};
+			struct Scene {
+				Light lights[2];
+				float k;
+			};
+			uniform Scene scene;
+		`);
+
+		var scene = compile.compiler.uniforms.scene;
+		assert.equal(scene.scale, 1);
+		assert.deepEqual(scene.fields.k, {type: 'float', convertedType: 'int', dimensions: [], scale: 256});
+		assert.deepEqual(scene.fields.lights.fields, {
+			pos: {type: 'vec3', convertedType: 'ivec3', dimensions: [], scale: 256},
+			id: {type: 'int', convertedType: 'int', dimensions: [], scale: 1}
+		});
+
+		//struct fields have no float copies
+		assert.throws(function () {
+			GLSL({fixedPoint: {fractionBits: 8}, uniform: 'float'})(`
+				struct Light {
+					vec3 pos;
+				};
+				uniform Light light;
+			`);
+		}, /Struct uniform light of type Light at line 5 has fixed-point fields and cannot be kept float/);
+
+		//integer structs stay as they are
+		var result = GLSL({fixedPoint: {fractionBits: 8}, uniform: 'float'})(`
+			struct Index {
+				int id;
+			};
+			uniform Index index;
+		`);
+		assert.ok(/^uniform Index index;$/m.test(result));
+	});
+});
+
+
+test('Matrices', function () {
+	test('Emulate matrices with structs of columns', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform mat3 rot;
+			void main () {
+				mat3 m = mat3(1.);
+				m[1][2] = 0.5;
+				m[0] = rot[2];
+				mat3 n = -m;
+			}
+		`);
+
+		assert.ok(/^struct imat3 {\n\tivec3 c0;\n\tivec3 c1;\n\tivec3 c2;\n};$/m.test(result));
+		assert.ok(result.indexOf('struct imat3') < result.indexOf('imat3 my_imat3_int (int a) {'));
+		assert.ok(/^uniform imat3 rot;$/m.test(result));
+		assert.ok(/imat3 m = my_imat3_int\(65536\);/.test(result));
+		assert.ok(/m\.c1\[2\] = 32768;/.test(result));
+		assert.ok(/m\.c0 = rot\.c2;/.test(result));
+		assert.ok(/imat3 n = my_subtract_int_imat3\( 0, m \);/.test(result));
+	});
+
+	test('Constructors', function () {
+		var compiler = GLSL().compiler;
+		var prelude = compiler.prelude;
+		assert.equal(prelude.my_imat2.int.call(compiler), `imat2 my_imat2_int (int a) {
+	imat2 result;
+	result.c0 = ivec2(a, 0);
+	result.c1 = ivec2(0, a);
+	return result;
+}`);
+		assert.equal(prelude.my_imat2.int_int_int_int.call(compiler), `imat2 my_imat2_int_int_int_int (int a, int b, int c, int d) {
+	imat2 result;
+	result.c0 = ivec2(a, b);
+	result.c1 = ivec2(c, d);
+	return result;
+}`);
+		assert.equal(prelude.my_imat3.imat2.call(compiler), `imat3 my_imat3_imat2 (imat2 a) {
+	imat3 result;
+	result.c0 = ivec3(a.c0, 0);
+	result.c1 = ivec3(a.c1, 0);
+	result.c2 = ivec3(0, 0, FIXED_SCALE);
+	return result;
+}`);
+		assert.equal(prelude.my_imat2.imat3.call(compiler), `imat2 my_imat2_imat3 (imat3 a) {
+	imat2 result;
+	result.c0 = a.c0.xy;
+	result.c1 = a.c1.xy;
+	return result;
+}`);
+	});
+
+	test('Products and matrix functions', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform mat2 a, b;
+			uniform vec2 v;
+			void main () {
+				vec2 p = a * v + v * b;
+				mat2 c = matrixCompMult(transpose(a), a * b);
+				float d = determinant(c);
+			}
+		`);
+
+		assert.ok(/ivec2 p = my_add_ivec2_ivec2\( my_multiple_imat2_ivec2\( a, v \), my_multiple_ivec2_imat2\( v, b \) \);/.test(result));
+		assert.ok(/imat2 c = my_matrixCompMult_imat2_imat2\(my_transpose_imat2\(a\), my_multiple_imat2_imat2\( a, b \)\);/.test(result));
+		assert.ok(/int d = my_determinant_imat2\(c\);/.test(result));
+		assert.ok(/int my_determinant_imat2 \(imat2 a\) {\n\treturn my_subtract_int_int\(my_multiple_int_int\(a\.c0\.x, a\.c1\.y\), my_multiple_int_int\(a\.c0\.y, a\.c1\.x\)\);\n}/.test(result));
+		assert.ok(/imat2 my_transpose_imat2 \(imat2 a\) {\n\treturn my_imat2_ivec2_ivec2\(ivec2\(a\.c0\.x, a\.c1\.x\), ivec2\(a\.c0\.y, a\.c1\.y\)\);\n}/.test(result));
+	});
+
+	test('Bridge matrices by columns', function () {
+		var result = GLSL({uniform: 'float', varying: 'float'})(`
+			uniform mat2 m;
+			varying mat2 vm;
+			attribute vec2 p;
+			void main () {
+				vm = m;
+				gl_Position = vec4(p, 0., 1.);
+			}
+		`);
+
+		assert.ok(/fixed_m = my_imat2_ivec2_ivec2\(ivec2\(m\[0\] \* float\(FIXED_SCALE\)\), ivec2\(m\[1\] \* float\(FIXED_SCALE\)\)\);/.test(result));
+		assert.ok(/vm = mat2\(vec2\(fixed_vm\.c0\) \/ float\(FIXED_SCALE\), vec2\(fixed_vm\.c1\) \/ float\(FIXED_SCALE\)\);/.test(result));
+		assert.ok(/^imat2 my_imat2_ivec2_ivec2 \(ivec2 a, ivec2 b\) {$/m.test(result));
+	});
+
+	test('Index column fields by helper', function () {
+		var result = GLSL()(`
+			uniform mat3 m;
+			uniform int k;
+			void main () {
+				vec3 c = m[k];
+			}
+		`);
+
+		assert.ok(/ivec3 c = my_column_imat3_int\(m, k\);/.test(result));
+		assert.ok(result.indexOf(`ivec3 my_column_imat3_int (imat3 a, int b) {
+	if (b == 0) return a.c0;
+	if (b == 1) return a.c1;
+	return a.c2;
+}`) >= 0);
+
+		assert.throws(function () {
+			GLSL()(`
+				uniform int k;
+				void main () {
+					mat2 m = mat2(1.);
+					m[k] = vec2(0.);
+				}
+			`);
+		}, /Matrix column assignment by non-constant index/);
+	});
+
+	test('Keep column arrays since GLSL ES 3.00', function () {
+		var result = GLSL()(`#version 300 es
+			uniform mat3 m;
+			uniform int k;
+			void main () {
+				mat3 n = m;
+				n[k] = m[1];
+			}
+		`);
+
+		assert.ok(/^struct imat3 {\n\tivec3 col\[3\];\n};$/m.test(result));
+		assert.ok(/n\.col\[k\] = m\.col\[1\];/.test(result));
+		assert.ok(!/my_column/.test(result));
+	});
+
+	test('Compile GLSL ES 1.00 matrices', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			uniform mat2 a;
+			uniform mat3 b;
+			uniform mat4 c;
+			uniform int k;
+			void main () {
+				mat2 m = mat2(1.) * transpose(a) + matrixCompMult(a, a);
+				mat3 n = mat3(m) * b;
+				mat4 o = mat4(n) - c;
+				vec4 v = o[k] * o * mat4(1., 2., 3., 4., 5., 6., 7., 8., 9., 10., 11., 12., 13., 14., 15., 16.);
+				gl_FragColor = vec4(determinant(m), determinant(n), determinant(o), m[1].y) + v;
+			}
+		`);
+
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+		validate(result, 'frag');
+	});
+
+	test('Inverse and outer product', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			uniform mat2 a;
+			uniform mat4 b;
+			uniform vec3 v;
+			void main () {
+				mat2 x = inverse(a);
+				mat3 y = outerProduct(v, v);
+				mat4 z = inverse(b);
+				gl_FragColor = vec4(x[0], y[1].x, z[2].y);
+			}
+		`);
+
+		assert.ok(/imat2 x = my_inverse_imat2\(a\);/.test(result));
+		assert.ok(/imat3 y = my_outerProduct_ivec3_ivec3\(v, v\);/.test(result));
+		assert.ok(result.indexOf(`imat2 my_inverse_imat2 (imat2 a) {
+	int d = my_determinant_imat2(a);
+	return my_divide_imat2_int(my_imat2_int_int_int_int(a.c1.y, -a.c0.y, -a.c1.x, a.c0.x), d);
+}`) >= 0);
+		assert.ok(result.indexOf(`imat3 my_outerProduct_ivec3_ivec3 (ivec3 a, ivec3 b) {
+	return my_imat3_ivec3_ivec3_ivec3(my_multiple_ivec3_int(a, b.x), my_multiple_ivec3_int(a, b.y), my_multiple_ivec3_int(a, b.z));
+}`) >= 0);
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+		validate(result, 'frag');
+	});
+
+	test('Construct matrices of vectors mixed with scalars', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`
+			precision highp float;
+			uniform vec3 u;
+			uniform vec2 w;
+			uniform float f;
+			void main () {
+				mat2 a = mat2(u, f);
+				mat3 b = mat3(w, f, u + u, u);
+				mat2 c = mat2(vec4(1.));
+				gl_FragColor = vec4(a[1], b[2].xy) + vec4(c[0], 0., 0.);
+			}
+		`);
+
+		assert.ok(/imat2 a = my_imat2_int_int_int_int\(u\.x, u\.y, u\.z, f\);/.test(result));
+		assert.ok(/imat3 b = my_imat3_int_int_int_int_int_int_int_int_int\(w\.x, w\.y, f, \(my_add_ivec3_ivec3\( u, u \)\)\.x, /.test(result));
+		assert.ok(/imat2 c = my_imat2_int_int_int_int\(\(ivec4\(256\)\)\.x, /.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+		validate(result, 'frag');
+	});
+
+	test('Keep non-square matrices native without fixed-point', function () {
+		var src = `#version 300 es
+			precision highp float;
+			uniform mat2x3 m;
+			uniform mat3x2 n;
+			uniform vec2 v;
+			out vec4 color;
+			void main () {
+				mat3 p = m * n;
+				vec3 c = m * v + mat2x3(1.)[1];
+				vec2 d = c * m;
+				color = vec4(c + p[0], d.x);
+			}
+		`;
+		var compiler = GLSL({fixedPoint: false}).compiler;
+		var result = compiler.compile(src);
+
+		assert.ok(/vec3 c = m \* v \+ mat2x3\(1\.\)\[1\];/.test(result));
+		assert.equal(compiler.uniforms.m.type, 'mat2x3');
+		validate(result, 'frag');
+
+		assert.throws(function () {
+			GLSL()(src);
+		}, /^Error: Type mat2x3 at line 3 is not supported in fixed-point, use fixedPoint: false$/);
+
+		//constructors and casts are rejected as well as declarations
+		assert.throws(function () {
+			GLSL()(`#version 300 es
+			void main () {
+				vec2 v = vec3(1.) * mat3x2(1.);
+			}`);
+		}, /Type mat3x2 at line 3 is not supported in fixed-point/);
+	});
+});
+
+
+test('Constructors and swizzles', function () {
+	test('Render native vector constructors', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform vec3 c;
+			uniform ivec2 k;
+			void main () {
+				vec2 a = vec2(1.);
+				vec4 b = vec4(a, 0., 1.);
+				vec2 d = vec2(c);
+				ivec3 i = ivec3(k, 1);
+				float arr[2] = float[2](1., 2.);
+			}
+		`);
+
+		assert.ok(/ivec2 a = ivec2\(65536\);/.test(result));
+		assert.ok(/ivec4 b = ivec4\(a, 0, 65536\);/.test(result));
+		assert.ok(/ivec2 d = ivec2\(c\);/.test(result));
+		assert.ok(/ivec3 i = ivec3\(k, 1\);/.test(result));
+		assert.ok(/int arr\[2\] = int\[2\]\(65536, 131072\);/.test(result));
+		assert.ok(!/function vec|\.fill|\.slice|\.concat|\.map/.test(result));
+	});
+
+	test('Keep native swizzles', function () {
+		var result = GLSL()(`
+			uniform vec4 c;
+			void main () {
+				vec4 a = c.wzyx;
+				a.xy = a.yx;
+				a.rg = c.st * 2.;
+				a.w = c.q;
+			}
+		`);
+
+		assert.ok(/ivec4 a = c\.wzyx;/.test(result));
+		assert.ok(/a\.xy = a\.yx;/.test(result));
+		assert.ok(/a\.rg = my_multiple_ivec2_int\( c\.st, 2 \);/.test(result));
+		assert.ok(/a\.w = c\.q;/.test(result));
+	});
+
+	test('Construct swizzles GLSL does not take', function () {
+		var result = GLSL()(`
+			uniform vec3 c;
+			void main () {
+				float f = c.x;
+				vec3 g = f.xxx;
+				vec2 h = c.xg * 2.;
+				bool b = true;
+				bvec2 bb = b.xx;
+			}
+		`);
+
+		assert.ok(/ivec3 g = ivec3\(f, f, f\);/.test(result));
+		assert.ok(/ivec2 h = my_multiple_ivec2_int\( ivec2\(c\.x, c\.y\), 2 \);/.test(result));
+		assert.ok(/bvec2 bb = bvec2\(b, b\);/.test(result));
+	});
+});
+
+
+test('Type casts', function () {
+	test('Scale ints up to fixed-point', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform int n;
+			uniform ivec3 iv;
+			uniform bool b;
+			void main () {
+				float a = float(n);
+				vec3 c = vec3(iv);
+				vec4 d = vec4(iv, n);
+				float e = float(b);
+				vec2 f = vec2(3, n);
+			}
+		`);
+
+		assert.ok(/int a = my_float_int\(n\);/.test(result));
+		assert.ok(/ivec3 c = my_float_ivec3\(iv\);/.test(result));
+		assert.ok(/ivec4 d = ivec4\(my_float_ivec3\(iv\), my_float_int\(n\)\);/.test(result));
+		assert.ok(/int e = my_float_bool\(b\);/.test(result));
+		assert.ok(/ivec2 f = ivec2\(196608, my_float_int\(n\)\);/.test(result));
+		assert.ok(/int my_float_int \(int a\) {\n\treturn a \* FIXED_SCALE;\n}/.test(result));
+		assert.ok(/int my_float_bool \(bool a\) {\n\treturn int\(a\) \* FIXED_SCALE;\n}/.test(result));
+	});
+
+	test('Truncate fixed-point to ints', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform float x;
+			uniform vec3 v;
+			uniform int n;
+			void main () {
+				int i = int(x);
+				ivec3 g = ivec3(v);
+				ivec2 p = ivec2(x, n);
+				int k = int(-1.5);
+				int m = int(n);
+			}
+		`);
+
+		assert.ok(/int i = my_int_int\(x\);/.test(result));
+		assert.ok(/ivec3 g = my_int_ivec3\(v\);/.test(result));
+		assert.ok(/ivec2 p = ivec2\(my_int_int\(x\), n\);/.test(result));
+		assert.ok(/int k = -1;/.test(result));
+		assert.ok(/int m = int\(n\);/.test(result));
+		assert.ok(/return a < 0 \? -\(-a \/ FIXED_SCALE\) : a \/ FIXED_SCALE;/.test(result));
+		assert.ok(/ivec3 my_int_ivec3 \(ivec3 a\) {\n\treturn ivec3\(my_int_int\(a\.x\), my_int_int\(a\.y\), my_int_int\(a\.z\)\);\n}/.test(result));
+	});
+
+	test('Compare with zero for bools', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`
+			uniform float x;
+			uniform vec3 v;
+			void main () {
+				bool c = bool(x);
+				bvec3 l = bvec3(v);
+			}
+		`);
+
+		assert.ok(/bool c = bool\(x\);/.test(result));
+		assert.ok(/bvec3 l = bvec3\(v\);/.test(result));
+		assert.ok(!/my_(int|float)/.test(result));
+	});
+
+	test('Convert unsigned ints', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`#version 300 es
+			uniform float x;
+			uniform uvec2 w;
+			void main () {
+				uint u = uint(x);
+				vec2 f = vec2(w);
+			}
+		`);
+
+		assert.ok(/uint u = my_uint_int\(x\);/.test(result));
+		assert.ok(/ivec2 f = my_float_uvec2\(w\);/.test(result));
+		assert.ok(/uint my_uint_int \(int a\) {\n\treturn uint\(my_int_int\(a\)\);\n}/.test(result));
+		assert.ok(/ivec2 my_float_uvec2 \(uvec2 a\) {\n\treturn ivec2\(a\) \* FIXED_SCALE;\n}/.test(result));
+	});
+
+	test('Scale int arguments of matrix constructors', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 16}})(`mat2 m = mat2(2);`);
+		assert.ok(/imat2 m = my_imat2_int\(131072\);/.test(result));
+	});
+});
+
+
+test('Directives', function () {
+	test('Hoist version and extensions', function () {
+		var compile = GLSL();
+		var result = compile(`#version 100
+			#define SCALE 2.
+			#extension GL_OES_standard_derivatives : enable
+			#pragma optimize(off)
+			void main () {
+				float a = SCALE;
+			}
+		`);
+		var lines = result.split('\n');
+
+		assert.equal(lines[0], '#version 100');
+		assert.equal(lines[1], '#extension GL_OES_standard_derivatives : enable');
+		assert.equal(lines[2], 'precision highp int;');
+		assert.equal(lines[3], '#define FIXED_FRACTION_BITS 0');
+		assert.ok(lines.indexOf('#pragma optimize(off)') > 3);
+		assert.ok(!/\bSCALE\b|\/\*/.test(result));
+		assert.equal(compile.compiler.sourceVersion, '100');
+	});
+
+	test('Keep directives without preprocessing', function () {
+		var result = GLSL({preprocess: false})(`#version 300 es
+			#ifdef GL_ES
+			float a;
+			#endif
+			void main () {}
+		`);
+
+		assert.equal(result.split('\n')[0], '#version 300 es');
+		assert.ok(/^#ifdef GL_ES\nint a;\n#endif$/m.test(result));
+	});
+});
+
+
+test('Precision', function () {
+	test('Keep precision statements with highp int', function () {
+		var warnings = [];
+		var result = GLSL({warn: function (message) { warnings.push(message); }})(`
+			precision mediump float;
+			precision lowp sampler2D;
+			uniform highp vec3 a;
+			void main () {
+				mediump int b;
+			}
+		`);
+
+		assert.ok(/^precision mediump float;\nprecision highp int;$/m.test(result));
+		assert.ok(/^precision lowp sampler2D;$/m.test(result));
+		assert.equal(result.match(/precision highp int/g).length, 1);
+		assert.ok(/uniform highp ivec3 a;/.test(result));
+		assert.ok(/mediump int b;/.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 0 fraction bits are limited to ±65536."]);
+	});
+
+	test('Add highp int to fragment shaders without precision statements', function () {
+		var warnings = [];
+		var result = GLSL({fixedPoint: {fractionBits: 8}, uniform: 'float', warn: function (message) { warnings.push(message); }})(`
+			uniform float t;
+			void main () {
+				gl_FragColor = vec4(t * 2.0);
+			}
+		`);
+
+		assert.ok(/^precision highp int;\n#define FIXED_FRACTION_BITS 8$/m.test(result));
+		assert.deepEqual(warnings, ["'highp int' guarantees ±2^16 in GLSL ES 1.00, fixed-point values with 8 fraction bits are limited to ±256."]);
+
+		//vertex shaders default to highp int, desktop GLSL has no precision
+		result = GLSL()(`void main () { gl_Position = vec4(1.); }`);
+		assert.ok(!/precision/.test(result));
+		result = GLSL()(`#version 330
+			out vec4 color;
+			void main () { color = vec4(1.); }
+		`);
+		assert.ok(!/precision/.test(result));
+	});
+
+	test('Warn about precision short of the fixed-point range', function () {
+		var warnings = [];
+		GLSL({fixedPoint: {fractionBits: 8}, warn: function (message) { warnings.push(message); }})(`#version 300 es
+			precision highp float;
+			void main () {
+				mediump float a = 1.;
+			}
+		`);
+
+		assert.equal(warnings.length, 1);
+		assert.ok(/'mediump int' guarantees ±2\^15/.test(warnings[0]));
+		assert.ok(/limited to ±128/.test(warnings[0]));
+	});
+});
+
+
+test('GLSL ES 3.00', function () {
+	test('Declare interface with in/out and layout', function () {
+		var compile = GLSL({fixedPoint: {fractionBits: 8}, attribute: 'float'});
+		var result = compile(`#version 300 es
+			layout(location = 0) in vec3 position;
+			in int id;
+			smooth out vec2 uv;
+			void main () {
+				uv = position.xy;
+				gl_Position = vec4(position, 1.);
+			}
+		`);
+
+		assert.ok(/^layout\(location = 0\) in vec3 position;\nivec3 fixed_position;$/m.test(result));
+		assert.ok(/^in int id;$/m.test(result));
+		assert.ok(/^flat out ivec2 uv;$/m.test(result));
+		assert.ok(/fixed_position = ivec3\(position \* float\(FIXED_SCALE\)\);/.test(result));
+		assert.deepEqual(Object.keys(compile.compiler.attributes), ['position', 'id']);
+		assert.deepEqual(Object.keys(compile.compiler.varyings), ['uv']);
+	});
+
+	test('Convert fragment outputs back to float', function () {
+		var compile = GLSL({fixedPoint: {fractionBits: 8}});
+		var result = compile(`#version 300 es
+			precision mediump float;
+			in vec2 uv;
+			layout(location = 0) out vec4 color;
+			void main () {
+				color = vec4(uv, 0., 1.);
+			}
+		`);
+
+		assert.ok(/^flat in ivec2 uv;$/m.test(result));
+		assert.ok(/^layout\(location = 0\) out vec4 color;\nivec4 fixed_color;$/m.test(result));
+		assert.ok(/color = vec4\(fixed_color\) \/ float\(FIXED_SCALE\);/.test(result));
+		assert.equal(compile.compiler.outputs.color.binding, 'output');
+		assert.ok(result.indexOf('precision highp int;') < result.indexOf('#define FIXED_SCALE'));
+
+		result = GLSL({output: false})(`#version 300 es
+			out vec4 color;
+			void main () {
+				color = vec4(1.);
+			}
+		`);
+		assert.ok(/^out ivec4 color;$/m.test(result));
+	});
+
+	test('Keep unsigned, bitwise operators and switch', function () {
+		var result = GLSL()(`#version 300 es
+			void main () {
+				uint a = 3u;
+				uvec2 q = uvec2(a, 0x1Fu);
+				int b = 5 % 2 & 3 | 1 << 2 ^ ~b;
+				b %= 2;
+				switch (b) {
+					case 1:
+						a = 2u;
+						break;
+					case -1:
+					default:
+						a = q.y;
+				}
+			}
+		`);
+
+		assert.ok(/uint a = 3u;/.test(result));
+		assert.ok(/uvec2 q = uvec2\(a, 0x1Fu\);/.test(result));
+		assert.ok(/int b = 5 % 2 & 3 \| 1 << 2 \^ ~b;/.test(result));
+		assert.ok(/b %= 2;/.test(result));
+		assert.ok(/switch \(b\) \{\n\s*case 1:\n\s*a = 2u;\n\s*break;\n\s*case -1:\n\s*default:\n\s*a = q\.y;/.test(result));
+	});
+
+	test('Sample float and integer textures', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`#version 300 es
+			uniform sampler2D tex;
+			uniform isampler2D itex;
+			void main () {
+				vec2 uv = vec2(.5);
+				ivec4 a = texture(itex, uv);
+				vec4 b = texture(tex, uv, 1.);
+				vec4 c = texelFetch(tex, ivec2(1, 2), 0);
+			}
+		`);
+
+		assert.ok(/ivec4 a = my_texture_isampler2D_ivec2\(itex, uv\);/.test(result));
+		assert.ok(/^ivec4 my_texture_isampler2D_ivec2 \(highp isampler2D a, ivec2 b\) \{\n\treturn texture\(a, vec2\(b\) \/ float\(FIXED_SCALE\)\);/m.test(result));
+		assert.ok(/ivec4 b = my_texture_sampler2D_ivec2_int\(tex, uv, 256\);/.test(result));
+		assert.ok(/return ivec4\(texelFetch\(a, b, c\) \* float\(FIXED_SCALE\)\);/.test(result));
+	});
+
+	test('Qualify samplers without default precision', function () {
+		var result = GLSL({fixedPoint: {fractionBits: 8}})(`#version 300 es
+			precision highp float;
+			uniform highp sampler3D volume;
+			uniform highp sampler2DShadow shadow;
+			uniform highp samplerCubeShadow cubeShadow;
+			uniform highp sampler2DArray layers;
+			out vec4 color;
+			void main () {
+				vec4 a = texture(volume, vec3(.5));
+				float b = texture(shadow, vec3(.5));
+				float c = texture(cubeShadow, vec4(.5));
+				vec4 d = texture(layers, vec3(.5, .5, 1.));
+				color = a + d + vec4(b, c, 0., 0.);
+			}
+		`);
+
+		assert.ok(/^ivec4 my_texture_sampler3D_ivec3 \(highp sampler3D a, ivec3 b\)/m.test(result));
+		assert.ok(/^int my_texture_sampler2DShadow_ivec3 \(highp sampler2DShadow a, ivec3 b\)/m.test(result));
+		assert.ok(/^int my_texture_samplerCubeShadow_ivec4 \(highp samplerCubeShadow a, ivec4 b\)/m.test(result));
+		assert.ok(/^ivec4 my_texture_sampler2DArray_ivec3 \(highp sampler2DArray a, ivec3 b\)/m.test(result));
+		validate(result, 'frag');
+	});
+});
+
+
+test('Version migration', function () {
+	test('Migrate GLSL ES 1.00 to 3.00', function () {
+		var result = GLSL({version: '300 es', fixedPoint: false})(`
+			attribute vec2 position;
+			varying vec2 uv;
+			void main () {
+				uv = position;
+				gl_Position = vec4(position, 0., 1.);
+			}
+		`);
+		assert.equal(result.split('\n')[0], '#version 300 es');
+		assert.ok(/^in vec2 position;$/m.test(result));
+		assert.ok(/^out vec2 uv;$/m.test(result));
+
+		result = GLSL({version: '300 es', fixedPoint: false})(`
+			varying vec2 uv;
+			uniform sampler2D tex;
+			uniform samplerCube cube;
+			void main () {
+				gl_FragColor = texture2D(tex, uv) + textureCube(cube, vec3(uv, 1.));
+			}
+		`);
+		assert.ok(/^precision highp float;$/m.test(result));
+		assert.ok(/^out vec4 fragColor;$/m.test(result));
+		assert.ok(/^in vec2 uv;$/m.test(result));
+		assert.ok(/fragColor = texture\(tex, uv\) \+ texture\(cube, vec3\(uv, 1\.\)\);/.test(result));
+		assert.ok(!/FIXED_SCALE|ivec/.test(result));
+
+		//derivatives, lod lookups and frag depth are core since GLSL ES 3.00
+		var source = `
+			#extension GL_OES_standard_derivatives : enable
+			#extension GL_EXT_shader_texture_lod : enable
+			#extension GL_EXT_frag_depth : enable
+			#extension GL_EXT_draw_buffers : require
+			precision mediump float;
+			varying vec2 uv;
+			void main () {
+				gl_FragColor = vec4(dFdx(uv), fwidth(uv));
+			}
+		`;
+		result = GLSL({version: '300 es', fixedPoint: false})(source);
+		assert.ok(!/GL_OES_standard_derivatives|GL_EXT_shader_texture_lod|GL_EXT_frag_depth/.test(result));
+		assert.ok(/^#extension GL_EXT_draw_buffers : require$/m.test(result));
+		result = GLSL({version: '330', fixedPoint: false})(source);
+		assert.ok(!/GL_OES_standard_derivatives/.test(result));
+		result = GLSL({version: '100', fixedPoint: false})(source);
+		assert.ok(/^#extension GL_OES_standard_derivatives : enable$/m.test(result));
+	});
+
+	test('Migrate GLSL ES 3.00 to 1.00', function () {
+		var result = GLSL({version: '100', fixedPoint: false})(`#version 300 es
+			precision mediump float;
+			flat in float k;
+			uniform samplerCube cube;
+			layout(location = 0) out vec4 color;
+			void main () {
+				color = textureLod(cube, vec3(k), 0.);
+			}
+		`);
+		assert.equal(result.split('\n')[0], '#version 100');
+		assert.ok(/^varying float k;$/m.test(result));
+		assert.ok(!/\bcolor\b/.test(result));
+		assert.ok(/gl_FragColor = textureCubeLod\(cube, vec3\(k\), 0\.\);/.test(result));
+
+		result = GLSL({version: '100', fixedPoint: false})(`#version 300 es
+			layout(location = 0) out vec4 a;
+			layout(location = 1) out vec4 b;
+			void main () {
+				a = b = vec4(1.);
+			}
+		`);
+		assert.ok(/^#extension GL_EXT_draw_buffers : require$/m.test(result));
+		assert.ok(/gl_FragData\[0\] = gl_FragData\[1\] = vec4\(1\.\);/.test(result));
+	});
+
+	test('Migrate to desktop GLSL', function () {
+		var result = GLSL({version: 330, fixedPoint: false})(`
+			precision mediump float;
+			varying lowp vec2 uv;
+			void main () {
+				gl_FragData[0] = vec4(uv, 0., 1.);
+			}
+		`);
+		assert.equal(result.split('\n')[0], '#version 330');
+		assert.ok(!/^precision/m.test(result));
+		assert.ok(/^out vec4 fragData\[gl_MaxDrawBuffers\];$/m.test(result));
+		assert.ok(/^in lowp vec2 uv;$/m.test(result));
+	});
+
+	test('Migrate along with fixed-point conversion', function () {
+		var result = GLSL({version: '300 es', fixedPoint: {fractionBits: 8}})(`
+			varying vec2 uv;
+			uniform sampler2D tex;
+			void main () {
+				gl_FragColor = texture2D(tex, uv);
+			}
+		`);
+		assert.ok(/^precision highp float;\nprecision highp int;$/m.test(result));
+		assert.ok(/^flat in ivec2 uv;$/m.test(result));
+		assert.ok(/^out vec4 fragColor;$/m.test(result));
+		assert.ok(/fixed_gl_FragColor = my_texture_sampler2D_ivec2\(tex, uv\);/.test(result));
+		assert.ok(/fragColor = vec4\(fixed_gl_FragColor\) \/ float\(FIXED_SCALE\);/.test(result));
+	});
+});
+
+
+test('Backends', function () {
+	var src = `
+		attribute vec2 uv;
+		uniform float scale;
+		void main () {
+			gl_Position = vec4(uv * scale, 0., 1.);
+		}
+	`;
+
+	test('Fixed-point GLSL by default', function () {
+		assert.equal(GLSL({target: 'glsl-int'})(src), GLSL()(src));
+	});
+
+	test('Render the same analysis to js', function () {
+		var compiler = GLSL({target: 'js'}).compiler;
+		var result = compiler.compile(src);
+		assert.ok(/^var uv = \[0, 0\];$/m.test(result));
+		assert.ok(/^\tgl_Position = \[uv\[0\] \* scale, uv\[1\] \* scale, 0\., 1\.\];$/m.test(result));
+		assert.deepEqual(Object.keys(compiler.attributes), ['uv']);
+		assert.deepEqual(Object.keys(compiler.uniforms), ['scale']);
+		assert.equal(compiler.uniforms.scale.scale, 1);
+	});
+
+	test('Share scopes and overloads', function () {
+		var src = `
+			float f (float a) { return a; }
+			float f (vec2 a) { return a.x; }
+			void main () {
+				float x = f(1.);
+				for (int i = 0; i < 2; i++) { x += f(vec2(x)); }
+			}
+		`;
+		var js = GLSL({target: 'js'}).compiler;
+		var glsl = GLSL().compiler;
+		var result = js.compile(src);
+		glsl.compile(src);
+
+		assert.deepEqual(Object.keys(js.scopes), Object.keys(glsl.scopes));
+		assert.deepEqual(Object.keys(js.scopes), ['global', 'f_float', 'f_vec2', 'main', 'main.1', 'main.1.1']);
+		assert.equal(js.scopes.f_vec2.a.type, 'vec2');
+
+		//the first overload keeps the plain name in js
+		assert.ok(/^function f \(a\) {$/m.test(result));
+		assert.ok(/^function f_vec2 \(a\) {$/m.test(result));
+		assert.ok(/x \+= f_vec2\(\[x, x\]\);/.test(result));
+	});
+
+	test('Rename shadowing declarations in js', function () {
+		var compiler = GLSL({target: 'js'}).compiler;
+		var result = compiler.compile(`
+			float f () {
+				float x = 1.;
+				{
+					float x = x * 3.;
+					x += 1.;
+					{ float x = 2.; }
+				}
+				for (int i = 0; i < 2; i++) { float x = 5.; }
+				return x;
+			}
+		`);
+
+		assert.ok(/^\tvar x_1 = x \* 3\.;$/m.test(result));
+		assert.ok(/^\tvar x_2 = 2\.;$/m.test(result));
+		assert.equal(new Function(result + '\nreturn f();')(), 1);
+	});
+
+	test('Unknown target', function () {
+		assert.throws(function () {
+			GLSL({target: 'wgsl'});
+		}, /Unknown target 'wgsl'/);
+	});
+});
+
+
+/**
+ * Compile the output with the reference compiler, throw on errors.
+ * Skipped where the prebuilt binary is missing or not executable.
+ */
+function validate (source, stage) {
+	var validator = validatorPath();
+	if (!validator) return;
+
+	var file = path.join(os.tmpdir(), `glsl-transpiler-${process.pid}.${stage}`);
+
+	fs.writeFileSync(file, source);
+	var result = spawnSync(validator, [file], {encoding: 'utf8'});
+	fs.unlinkSync(file);
+
+	if (result.error) throw result.error;
+	assert.equal(result.status, 0, result.stdout);
+}
+
+
+/**
+ * Path to the executable glslangValidator, or null
+ */
+function validatorPath () {
+	try {
+		var validator = require('glslang-validator-prebuilt-predownloaded').path;
+		fs.accessSync(validator, fs.constants.X_OK);
+		return validator;
+	} catch (e) {
+		return null;
+	}
+}
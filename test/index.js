@@ -1,7 +1,7 @@
 var tokenize = require('glsl-tokenizer/string');
 var parse = require('glsl-parser/direct');
 var GLSL = require('../');
-var compile = GLSL.compile;
+var compile = function (src) { return GLSL.compile(src, {target: 'js'}); };
 var TokenStream = require('glsl-tokenizer/stream');
 var ParseStream = require('glsl-parser/stream');
 var CompileStream = require('../stream');
@@ -145,33 +145,37 @@ test('Interface', function () {
 		// assert.equal(clean(compile(source)), clean(result));
 	});
 
-	test('Stream', function (done) {
-		var res = '';
-
-		StringStream(source.split('\n').map(function(v){return v + '\n'}))
-		.pipe(TokenStream())
-		// .on('data', function (chunk) {
-		// 	console.log(chunk);
-		// })
-		.pipe(ParseStream())
-		.pipe(CompileStream())
-		.on('end', function() {
+	test('Stream', function () {
+		return streamCompile(source.split('\n').map(function(v){return v + '\n'}), {target: 'js'})
+		.then(function (res) {
 			assert.equal(clean(res), clean(result))
-			done();
-		})
+		});
+	});
 
-		//to release data
-		.pipe(Sink({
-			objectMode: true,
-			write: function (data, enc, cb) {
-				res += data + '\n';
-				cb();
-			}
-		}))
+	test('Stream fixed-point GLSL', function () {
+		return streamCompile([
+			'float f (float a) {\n',
+			'	return a * 2.;\n',
+			'}\n',
+			'void main () {\n',
+			'	float x = f(1.);\n',
+			'}\n'
+		])
+		.then(function (res) {
+			assert.equal(clean(res), clean(`
+				int f (int a) {
+					return my_multiple_int_int( a, 2 );
+				}
+				void main () {
+					int x = f(1);
+				}
+			`));
+		});
 	});
 
 	test('Detect attributes, uniforms, varying', function () {
 		var compiler = new GLSL({
+			target: 'js',
 			attribute: function (name) { return `attributes['${name}']`;},
 			uniform: function (name) { return `uniforms['${name}']`;},
 			varying: function (name) { return `varying['${name}']`;}
@@ -348,7 +352,7 @@ test('primitive variable initializers', function() {
 
 
 test('Structures', function () {
-	var compile = GLSL();
+	var compile = GLSL({target: 'js'});
 
 	test('Nested', function () {
 		var src = `
@@ -392,7 +396,7 @@ test('Structures', function () {
 
 
 test('Components access', function () {
-	var compile = GLSL();
+	var compile = GLSL({target: 'js'});
 
 	test('Array constructs', function () {
 		var src = `
@@ -924,5 +928,33 @@ test('Preprocessor', function () {
 
 
 
+//compile source lines by streams, failures of the compiler or of assertions reject the test
+//instead of throwing out of the stream handlers, which would end the run before the other suites
+function streamCompile (lines, options) {
+	return new Promise(function (resolve, reject) {
+		var res = '';
+
+		StringStream(lines)
+		.pipe(TokenStream())
+		.pipe(ParseStream())
+		.pipe(CompileStream(options))
+		.on('error', reject)
+		.on('end', function() {
+			resolve(res);
+		})
+
+		//to release data
+		.pipe(Sink({
+			objectMode: true,
+			write: function (data, enc, cb) {
+				res += data + '\n';
+				cb();
+			}
+		}))
+	});
+}
+
+
 //include other tests
 require('./stdlib');
+require('./glsl');